@@ -0,0 +1,146 @@
+/**
+ * analogControl.js
+ * PoseNet 키포인트로 바구니의 가로 위치(0~100%)를 연속적으로 계산
+ *
+ * Teachable Machine 클래스(Left/Center/Right) 대신 코, 어깨 중심 또는
+ * 골반 중심의 x 좌표를 사용합니다. 보정(calibration)으로 플레이어가 실제로
+ * 움직이는 범위를 화면 전체 폭에 맞추고, 지수 이동 평균으로 떨림을 줄입니다.
+ */
+
+// 기준점별 사용할 키포인트
+const ANCHOR_PARTS = {
+  nose: ["nose"],
+  shoulders: ["leftShoulder", "rightShoulder"],
+  hips: ["leftHip", "rightHip"]
+};
+
+// 바구니 중심이 움직일 수 있는 범위 (바구니가 화면 밖으로 나가지 않도록)
+const BASKET_MIN_X = 10;
+const BASKET_MAX_X = 90;
+// 보정 전 기본 범위 (정규화된 x)
+const DEFAULT_RANGE = { min: 0.2, max: 0.8 };
+
+class AnalogControl {
+  constructor(options = {}) {
+    this.anchor = options.anchor || "nose";
+    this.frameWidth = options.frameWidth || 200; // 웹캠 캔버스 폭
+    this.minPartConfidence = options.minPartConfidence || 0.5;
+    this.smoothing = options.smoothing !== undefined ? options.smoothing : 0.3; // EMA 계수 (1 = 평활화 없음)
+    this.invert = options.invert || false;
+    this.storageKey = options.storageKey || "analogCalibration";
+
+    this.range = { ...DEFAULT_RANGE };
+    this.smoothedX = null;
+    this.isCalibrating = false;
+    this.calibrationSamples = [];
+
+    this.loadCalibration();
+  }
+
+  /**
+   * 포즈 한 프레임 처리
+   * @param {Object} pose - PoseNet 결과 { keypoints }
+   * @returns {number|null} 바구니 x (0~100), 기준점이 안 보이면 null
+   */
+  update(pose) {
+    const rawX = this.getRawX(pose);
+    if (rawX === null) return null;
+
+    if (this.isCalibrating) this.calibrationSamples.push(rawX);
+
+    const { min, max } = this.range;
+    let t = (rawX - min) / (max - min);
+    t = Math.min(1, Math.max(0, t));
+    if (this.invert) t = 1 - t;
+
+    const targetX = BASKET_MIN_X + t * (BASKET_MAX_X - BASKET_MIN_X);
+    this.smoothedX = this.smoothedX === null
+      ? targetX
+      : this.smoothedX + (targetX - this.smoothedX) * this.smoothing;
+    return this.smoothedX;
+  }
+
+  /**
+   * 기준점의 정규화된 x 좌표 (0~1)
+   */
+  getRawX(pose) {
+    if (!pose || !pose.keypoints) return null;
+
+    const parts = ANCHOR_PARTS[this.anchor];
+    const points = pose.keypoints.filter(kp =>
+      parts.includes(kp.part) && kp.score >= this.minPartConfidence
+    );
+    // 어깨/골반은 양쪽이 모두 보여야 중심을 계산할 수 있음
+    if (points.length < parts.length) return null;
+
+    const sum = points.reduce((acc, kp) => acc + kp.position.x, 0);
+    return (sum / points.length) / this.frameWidth;
+  }
+
+  setAnchor(anchor) {
+    if (!ANCHOR_PARTS[anchor]) throw new Error(`Unknown anchor: ${anchor}`);
+    this.anchor = anchor;
+    this.smoothedX = null;
+    this.range = { ...DEFAULT_RANGE }; // 보정하지 않은 기준점에 이전 기준점 범위가 남지 않도록
+    this.loadCalibration();
+  }
+
+  /**
+   * 보정 시작: 플레이어가 좌우 끝까지 움직이는 동안 샘플 수집
+   */
+  startCalibration() {
+    this.isCalibrating = true;
+    this.calibrationSamples = [];
+  }
+
+  /**
+   * 보정 종료: 수집한 범위를 저장
+   * @returns {boolean} 보정 성공 여부
+   */
+  finishCalibration() {
+    this.isCalibrating = false;
+    const samples = this.calibrationSamples;
+    if (samples.length < 10) return false;
+
+    const min = Math.min(...samples);
+    const max = Math.max(...samples);
+    if (max - min < 0.05) return false; // 거의 움직이지 않음
+
+    this.range = { min, max };
+    this.saveCalibration();
+    return true;
+  }
+
+  loadCalibration() {
+    const range = this.getSavedCalibrations()[this.anchor];
+    // 손상된 값이면 기본 범위 그대로
+    if (range && Number.isFinite(range.min) && Number.isFinite(range.max) && range.min < range.max) {
+      this.range = { min: range.min, max: range.max };
+    }
+  }
+
+  saveCalibration() {
+    const saved = this.getSavedCalibrations();
+    saved[this.anchor] = this.range;
+    localStorage.setItem(this.storageKey, JSON.stringify(saved));
+  }
+
+  /**
+   * 기준점별 저장된 범위 { nose: { min, max }, ... } (손상됐으면 빈 객체)
+   */
+  getSavedCalibrations() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey) || "{}");
+      return saved && typeof saved === "object" && !Array.isArray(saved) ? saved : {};
+    } catch (e) {
+      console.warn("Invalid analog calibration data:", e);
+      return {};
+    }
+  }
+
+  reset() {
+    this.smoothedX = null;
+  }
+}
+
+window.AnalogControl = AnalogControl;
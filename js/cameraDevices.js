@@ -0,0 +1,146 @@
+/**
+ * cameraDevices.js
+ * 웹캠 목록, 해상도 선택, getUserMedia 오류 분류
+ *
+ * - list(): 연결된 카메라 목록. 카메라 권한을 받기 전에는 브라우저가
+ *   deviceId와 이름(label)을 비워 두므로 목록은 카메라를 켠 뒤에 채워지고,
+ *   이름이 없으면 "Camera 1"처럼 번호로 표시합니다.
+ * - openVideo(): 카메라 스트림을 열어 tmPose.Webcam이 쓰는 video 요소로 돌려줌.
+ *   tmPose의 setup()은 getUserMedia 오류를 문자열 하나로 바꿔 버려서
+ *   실패 원인을 알 수 없기 때문에 스트림은 직접 엽니다.
+ * - constraints(): getUserMedia에 넘길 MediaTrackConstraints (tmPose와 같은 값)
+ * - describeError(): getUserMedia 실패 원인(DOMException 이름)을 사용자에게
+ *   보여 줄 이유와 메시지로 바꿈
+ */
+
+// 웹캠 캔버스 크기 (정사각형, px). 클수록 정확하지만 예측이 느려집니다.
+// 카메라는 항상 아래 CAPTURE 값으로 열고, 이 크기로 잘라서 씁니다.
+const CAMERA_RESOLUTIONS = [200, 320, 480];
+// tmPose.Webcam.getWebcam()이 요청하는 값과 같음 (숫자는 ideal이라 실패 원인이 되지 않음)
+const CAMERA_CAPTURE = { width: 640, frameRate: 24 };
+
+// 실패 이유별 메시지 (recoverable: "Restart Camera"로 다시 시도해 볼 만한지)
+const CAMERA_ERRORS = {
+  permission: {
+    message: "Camera access was denied. Allow the camera in the browser's site settings, then press Restart Camera.",
+    recoverable: true
+  },
+  busy: {
+    message: "The camera is in use by another app or tab. Close it, then press Restart Camera.",
+    recoverable: true
+  },
+  notFound: {
+    message: "No camera found. Plug one in, then press Restart Camera.",
+    recoverable: true
+  },
+  disconnected: {
+    message: "The camera was disconnected. Plug it back in or pick another camera.",
+    recoverable: true
+  },
+  unsupported: {
+    message: "This browser can't use the camera (it needs HTTPS or localhost and a recent browser).",
+    recoverable: false
+  },
+  unknown: {
+    message: "Camera initialization failed.",
+    recoverable: true
+  }
+};
+
+// DOMException 이름 → 이유 (옛 Chrome/Firefox 이름 포함)
+const CAMERA_ERROR_NAMES = {
+  NotAllowedError: "permission",
+  PermissionDeniedError: "permission",
+  SecurityError: "permission",
+  NotReadableError: "busy",
+  TrackStartError: "busy",
+  AbortError: "busy",
+  NotFoundError: "notFound",
+  DevicesNotFoundError: "notFound",
+  OverconstrainedError: "notFound", // 정확히(exact) 요구하는 건 deviceId뿐: 저장된 카메라가 없음
+  ConstraintNotSatisfiedError: "notFound"
+};
+
+class CameraDevices {
+  static isSupported(mediaDevices = CameraDevices.mediaDevices()) {
+    return !!mediaDevices && typeof mediaDevices.getUserMedia === "function";
+  }
+
+  static mediaDevices() {
+    return typeof navigator !== "undefined" ? navigator.mediaDevices : undefined;
+  }
+
+  /**
+   * 연결된 카메라 목록
+   * @returns {Promise<Object[]>} [{ deviceId, label }]
+   */
+  static async list(mediaDevices = CameraDevices.mediaDevices()) {
+    if (!mediaDevices || typeof mediaDevices.enumerateDevices !== "function") return [];
+    const devices = await mediaDevices.enumerateDevices();
+    return devices
+      .filter(device => device.kind === "videoinput" && device.deviceId)
+      .map((device, index) => ({
+        deviceId: device.deviceId,
+        label: device.label || `Camera ${index + 1}`
+      }));
+  }
+
+  /**
+   * @param {string|null} deviceId - 비어 있으면 브라우저 기본 (앞쪽) 카메라
+   */
+  static constraints(deviceId = null) {
+    const camera = deviceId ? { deviceId: { exact: deviceId } } : { facingMode: "user" };
+    return { ...CAMERA_CAPTURE, ...camera };
+  }
+
+  /**
+   * 카메라 스트림을 연 video 요소 (tmPose.Webcam.getWebcam()과 같은 모양)
+   * 실패하면 getUserMedia의 DOMException을 그대로 던집니다.
+   * @returns {Promise<HTMLVideoElement>}
+   */
+  static async openVideo(deviceId = null, mediaDevices = CameraDevices.mediaDevices()) {
+    const stream = await mediaDevices.getUserMedia({ video: CameraDevices.constraints(deviceId) });
+    const video = document.createElement("video");
+    video.playsInline = true; // iOS Safari에서 전체 화면으로 열리지 않도록
+    video.srcObject = stream;
+    video.addEventListener("loadedmetadata", () => {
+      video.width = video.videoWidth;
+      video.height = video.videoHeight;
+    });
+    return video;
+  }
+
+  /**
+   * 허용된 해상도로 맞춤 (저장된 값이 이상하면 기본값)
+   */
+  static resolution(size) {
+    const value = Number(size);
+    return CAMERA_RESOLUTIONS.includes(value) ? value : CAMERA_RESOLUTIONS[0];
+  }
+
+  /**
+   * getUserMedia 오류 → 이유
+   * @returns {string} CAMERA_ERRORS의 키
+   */
+  static classifyError(error) {
+    if (error && error.reason && CAMERA_ERRORS[error.reason]) return error.reason;
+    return (error && CAMERA_ERROR_NAMES[error.name]) || "unknown";
+  }
+
+  /**
+   * @returns {Object} { reason, message, recoverable }
+   */
+  static describeError(error) {
+    const reason = CameraDevices.classifyError(error);
+    const { message, recoverable } = CAMERA_ERRORS[reason];
+    const detail = reason === "unknown" && error ? ` (${error.message || error})` : "";
+    return { reason, message: message + detail, recoverable };
+  }
+}
+
+CameraDevices.RESOLUTIONS = CAMERA_RESOLUTIONS;
+CameraDevices.ERRORS = CAMERA_ERRORS;
+
+// 브라우저 전역 + CommonJS 내보내기 (Node에서 헤드리스로 사용)
+globalThis.CameraDevices = CameraDevices;
+if (typeof module !== "undefined") module.exports = CameraDevices;
@@ -0,0 +1,151 @@
+/**
+ * difficultyController.js
+ * Optional adaptive difficulty: tunes fall speed, spawn interval and bomb
+ * weight to the player's recent performance
+ *
+ * Every `evaluateEvery` ms of game time the controller looks at the last
+ * `windowSize` fruit (caught or missed) and at the bombs since its last check:
+ * - catch rate above target + tolerance: one step harder
+ * - catch rate below target - tolerance: one step easier
+ * - bombs hit or only just dodged (near-misses): fewer bombs
+ * The multipliers stay within their bounds and every change is logged, so the
+ * results screen can show how the game adapted during the run.
+ *
+ * It only sees game-clock events, so a replay adapts exactly like the run.
+ */
+
+const DEFAULT_DIFFICULTY = {
+  evaluateEvery: 5000, // ms of game time between checks
+  windowSize: 10, // recent fruit considered
+  minSamples: 4, // fruit needed before the catch rate counts
+  targetCatchRate: 0.75,
+  tolerance: 0.1,
+  step: 0.1, // change per adjustment
+  bombTrouble: 2, // bomb hits + near-misses since the last check that lower the bomb weight
+  // Multiplier bounds (1 = the stage's own values)
+  speed: { min: 0.6, max: 1.5 }, // fall speed
+  spawnInterval: { min: 0.7, max: 1.5 }, // time between spawns (lower = more items)
+  bombWeight: { min: 0.3, max: 2 } // bomb spawn weight
+};
+
+class DifficultyController {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_DIFFICULTY, ...options };
+    this.speed = 1;
+    this.spawnInterval = 1;
+    this.bombWeight = 1;
+    this.outcomes = []; // recent fruit, true = caught
+    this.bombHits = 0; // since the last check
+    this.nearMisses = 0;
+    this.bombsInPath = new Set(); // ids of bombs the basket was under right before they arrived
+    this.nextCheck = this.options.evaluateEvery;
+    this.log = [];
+  }
+
+  fruitCaught() {
+    this.addOutcome(true);
+  }
+
+  fruitMissed() {
+    this.addOutcome(false);
+  }
+
+  addOutcome(caught) {
+    this.outcomes.push(caught);
+    if (this.outcomes.length > this.options.windowSize) this.outcomes.shift();
+  }
+
+  /**
+   * The basket was under this bomb shortly before the catch zone
+   */
+  bombInPath(item) {
+    this.bombsInPath.add(item.id);
+  }
+
+  /**
+   * A bomb fell past; it was a near-miss if the basket got out of the way late
+   */
+  bombDodged(item) {
+    if (this.bombsInPath.delete(item.id)) this.nearMisses++;
+  }
+
+  bombHit(item) {
+    this.bombsInPath.delete(item.id);
+    this.bombHits++;
+  }
+
+  /**
+   * @returns {number|null} share of recent fruit caught (null = too few)
+   */
+  getCatchRate() {
+    if (this.outcomes.length < this.options.minSamples) return null;
+    return this.outcomes.filter(Boolean).length / this.outcomes.length;
+  }
+
+  /**
+   * Called every step with the game clock
+   * @returns {Object|null} the log entry when the difficulty changed
+   */
+  update(time, level) {
+    if (time < this.nextCheck) return null;
+    this.nextCheck = time + this.options.evaluateEvery;
+
+    const { targetCatchRate, tolerance, step, bombTrouble } = this.options;
+    const catchRate = this.getCatchRate();
+    const troubleWithBombs = this.bombHits + this.nearMisses >= bombTrouble;
+    let direction = 0; // 1 = harder, -1 = easier
+    if (catchRate !== null && catchRate > targetCatchRate + tolerance && !troubleWithBombs) direction = 1;
+    else if (catchRate !== null && catchRate < targetCatchRate - tolerance) direction = -1;
+
+    const before = this.getMultipliers();
+    this.speed = this.clamp("speed", this.speed + direction * step);
+    this.spawnInterval = this.clamp("spawnInterval", this.spawnInterval - direction * step);
+    const bombStep = direction === 0 && troubleWithBombs ? -step : direction * step;
+    this.bombWeight = this.clamp("bombWeight", this.bombWeight + bombStep);
+
+    const bombHits = this.bombHits;
+    const nearMisses = this.nearMisses;
+    this.bombHits = 0;
+    this.nearMisses = 0;
+
+    const after = this.getMultipliers();
+    if (Object.keys(after).every(key => after[key] === before[key])) return null;
+
+    const entry = {
+      time: Math.round(time / 100) / 10, // seconds
+      level,
+      catchRate: catchRate === null ? null : Math.round(catchRate * 100) / 100,
+      bombHits,
+      nearMisses,
+      reason: direction === 1 ? "harder" : direction === -1 ? "easier" : "bombs",
+      ...after
+    };
+    this.log.push(entry);
+    return entry;
+  }
+
+  clamp(key, value) {
+    const { min, max } = this.options[key];
+    return Math.round(Math.min(max, Math.max(min, value)) * 100) / 100;
+  }
+
+  getMultipliers() {
+    return { speed: this.speed, spawnInterval: this.spawnInterval, bombWeight: this.bombWeight };
+  }
+
+  /**
+   * Plain object for the results screen and the player's run history
+   */
+  getSummary() {
+    return {
+      final: this.getMultipliers(),
+      log: this.log.map(entry => ({ ...entry }))
+    };
+  }
+}
+
+DifficultyController.DEFAULTS = DEFAULT_DIFFICULTY;
+
+// Browser global + CommonJS export (headless use from Node)
+globalThis.DifficultyController = DifficultyController;
+if (typeof module !== "undefined") module.exports = DifficultyController;
@@ -0,0 +1,69 @@
+/**
+ * eventEmitter.js
+ * Small multi-subscriber event emitter with a fixed list of event names
+ *
+ * Every event carries a single payload object. Subscribing to or emitting
+ * a name that isn't in the list throws, so a typo fails loudly instead of
+ * silently never firing.
+ */
+
+class EventEmitter {
+  /**
+   * @param {Array<string>} eventNames - allowed events (null = any name)
+   */
+  constructor(eventNames = null) {
+    this.eventNames = eventNames ? new Set(eventNames) : null;
+    this.listeners = new Map(); // event -> [listener]
+  }
+
+  /**
+   * @returns {Function} unsubscribe
+   */
+  on(event, listener) {
+    this.checkEvent(event);
+    if (typeof listener !== "function") throw new Error(`Listener for "${event}" must be a function`);
+    if (!this.listeners.has(event)) this.listeners.set(event, []);
+    this.listeners.get(event).push(listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Listen for the next event only
+   */
+  once(event, listener) {
+    const wrapper = (payload) => {
+      this.off(event, wrapper);
+      listener(payload);
+    };
+    wrapper.listener = listener; // so off(event, listener) also finds it
+    return this.on(event, wrapper);
+  }
+
+  off(event, listener) {
+    const list = this.listeners.get(event);
+    if (!list) return;
+    const index = list.findIndex(l => l === listener || l.listener === listener);
+    if (index !== -1) list.splice(index, 1);
+  }
+
+  emit(event, payload = {}) {
+    this.checkEvent(event);
+    const list = this.listeners.get(event);
+    if (!list || list.length === 0) return;
+    // Copy so listeners can unsubscribe while being called
+    list.slice().forEach(listener => listener(payload));
+  }
+
+  removeAllListeners(event) {
+    if (event) this.listeners.delete(event);
+    else this.listeners.clear();
+  }
+
+  checkEvent(event) {
+    if (this.eventNames && !this.eventNames.has(event)) throw new Error(`Unknown event: ${event}`);
+  }
+}
+
+// Browser global + CommonJS export (headless use from Node)
+globalThis.EventEmitter = EventEmitter;
+if (typeof module !== "undefined") module.exports = EventEmitter;
@@ -0,0 +1,152 @@
+/**
+ * fitnessTracker.js
+ * 피트니스 모드: 플레이어의 움직임을 세고 운동 강도를 추정
+ *
+ * - 레인 이동: onPoseDetected(또는 아날로그 x)로 들어온 입력의 레인이 바뀐 횟수
+ * - 좌우 왕복: 몸(어깨 중심, 어깨가 안 보이면 코)이 화면 한쪽 끝 구역에서
+ *   반대쪽 끝 구역까지 간 횟수. 키포인트가 없으면(키보드, 터치 등)
+ *   바깥 레인에서 반대쪽 바깥 레인까지 간 횟수로 셉니다.
+ * - 활동 시간: 마지막 움직임 뒤 activeWindowMs 안이면 활동 중
+ * - 강도: 분당 레인 이동 수와 분당 몸 이동 거리(화면 폭 단위) 중 높은 쪽
+ *   (light / moderate / vigorous). 의학적 측정이 아닌 대략적인 추정치입니다.
+ */
+
+const INTENSITY_LEVELS = ["light", "moderate", "vigorous"];
+
+class FitnessTracker {
+  constructor(options = {}) {
+    this.frameWidth = options.frameWidth || 200; // 웹캠 캔버스 폭
+    this.minScore = options.minScore || 0.5; // 키포인트 신뢰도 기준
+    this.sideZone = options.sideZone || 0.3; // 화면 양 끝에서 이 비율 안이면 "끝 구역"
+    this.minStep = options.minStep || 0.01; // 이보다 작은 흔들림은 움직임이 아님 (화면 폭 비율)
+    this.activeWindowMs = options.activeWindowMs || 2000;
+    this.movesPerMinute = options.movesPerMinute || [10, 25]; // moderate, vigorous 기준
+    this.travelPerMinute = options.travelPerMinute || [3, 8]; // 화면 폭 단위
+    this.now = options.now || (() => performance.now());
+    this.reset();
+  }
+
+  /**
+   * @param {number|null} lane - 시작 레인 (이 레인으로의 입력은 이동이 아님)
+   * @param {number} laneCount
+   */
+  reset(lane = null, laneCount = 3) {
+    this.laneCount = laneCount;
+    this.laneChanges = 0;
+    this.laneSweeps = 0;
+    this.bodySweeps = 0;
+    this.travel = 0;
+    this.playMs = 0;
+    this.activeMs = 0;
+    this.lastLane = lane;
+    this.lastOuterLane = this.isOuterLane(lane) ? lane : null;
+    this.lastBodyX = null;
+    this.lastSide = null; // "left" | "right"
+    this.hasKeypoints = false;
+    this.lastMoveAt = null;
+  }
+
+  isOuterLane(lane) {
+    return lane === 0 || lane === this.laneCount - 1;
+  }
+
+  /**
+   * 레인 입력 (같은 레인이 반복되는 건 무시)
+   * @returns {boolean} 레인 이동으로 셌는지
+   */
+  laneInput(lane) {
+    if (lane === null || lane === this.lastLane) return false;
+    const isFirst = this.lastLane === null;
+    this.lastLane = lane;
+    if (this.isOuterLane(lane)) {
+      if (this.lastOuterLane !== null && this.lastOuterLane !== lane) this.laneSweeps++;
+      this.lastOuterLane = lane;
+    }
+    if (isFirst) return false;
+
+    this.laneChanges++;
+    this.lastMoveAt = this.now();
+    return true;
+  }
+
+  /**
+   * 포즈 한 프레임 처리 (몸 이동 거리, 좌우 왕복)
+   * @param {Object|null} pose - PoseNet 포즈
+   */
+  updatePose(pose) {
+    const x = this.getBodyX(pose);
+    if (x === null) return;
+    this.hasKeypoints = true;
+
+    const side = x < this.sideZone ? "left" : x > 1 - this.sideZone ? "right" : null;
+    if (side && side !== this.lastSide) {
+      if (this.lastSide !== null) this.bodySweeps++;
+      this.lastSide = side;
+    }
+
+    // 작은 흔들림은 쌓아 두었다가 minStep을 넘으면 한 번에 셈
+    if (this.lastBodyX !== null) {
+      const step = Math.abs(x - this.lastBodyX);
+      if (step < this.minStep) return;
+      this.travel += step;
+      this.lastMoveAt = this.now();
+    }
+    this.lastBodyX = x;
+  }
+
+  /**
+   * 어깨 중심 x (정규화 0~1), 어깨가 안 보이면 코, 둘 다 없으면 null
+   */
+  getBodyX(pose) {
+    if (!pose || !Array.isArray(pose.keypoints)) return null;
+    const visible = (part) => pose.keypoints.find(kp => kp.part === part && kp.score >= this.minScore);
+    const left = visible("leftShoulder");
+    const right = visible("rightShoulder");
+    if (left && right) return (left.position.x + right.position.x) / 2 / this.frameWidth;
+    const nose = visible("nose");
+    return nose ? nose.position.x / this.frameWidth : null;
+  }
+
+  /**
+   * 게임이 진행 중인 프레임마다 호출 (일시정지/휴식 중에는 호출하지 않음)
+   */
+  tick(dt) {
+    this.playMs += dt;
+    if (this.lastMoveAt !== null && this.now() - this.lastMoveAt <= this.activeWindowMs) this.activeMs += dt;
+  }
+
+  /**
+   * 키포인트를 받았으면 몸 기준, 아니면 레인 기준 왕복 수
+   */
+  getSweeps() {
+    return this.hasKeypoints ? this.bodySweeps : this.laneSweeps;
+  }
+
+  getIntensity() {
+    const minutes = this.playMs / 60000;
+    if (minutes <= 0) return INTENSITY_LEVELS[0];
+    const level = (value, [moderate, vigorous]) => (value >= vigorous ? 2 : value >= moderate ? 1 : 0);
+    const byMoves = level(this.laneChanges / minutes, this.movesPerMinute);
+    const byTravel = this.hasKeypoints ? level(this.travel / minutes, this.travelPerMinute) : 0;
+    return INTENSITY_LEVELS[Math.max(byMoves, byTravel)];
+  }
+
+  getSummary() {
+    const minutes = this.playMs / 60000;
+    return {
+      playMs: Math.round(this.playMs),
+      activeMs: Math.round(this.activeMs),
+      laneChanges: this.laneChanges,
+      sweeps: this.getSweeps(),
+      travel: Math.round(this.travel * 100) / 100,
+      movesPerMinute: minutes > 0 ? Math.round(this.laneChanges / minutes * 10) / 10 : 0,
+      intensity: this.getIntensity()
+    };
+  }
+}
+
+FitnessTracker.INTENSITY_LEVELS = INTENSITY_LEVELS;
+
+// 브라우저 전역 + CommonJS 내보내기 (Node에서 헤드리스로 사용)
+globalThis.FitnessTracker = FitnessTracker;
+if (typeof module !== "undefined") module.exports = FitnessTracker;
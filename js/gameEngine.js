@@ -3,336 +3,1019 @@
  * Sky Fruit Catcher Game Logic
  *
  * Mechanics:
- * - Basket moves based on Pose (Left, Center, Right)
- * - Fruits (Apple, Banana) fall from the sky
+ * - Basket moves between N lanes (3 by default) based on Pose, or
+ *   continuously in "analog" control where catching uses horizontal overlap
+ * - Fruits (Apple, Banana, Golden, ZigZag) fall from the sky
  * - Items (Shield, Magnet, Time) provide temporary buffs
- * - Bombs cause Game Over (unless Shield is active)
+ * - Bombs (Bomb, WideBomb) cause Game Over (unless Shield is active); game
+ *   modes (gameModes.js) can turn them into a point penalty or a lost life
+ * - Hazards (Freeze) get in the way without ending the game
+ * What each item type does is declared in itemTypes.js.
+ *
+ * The engine is a pure simulation: it never touches the DOM, audio or
+ * window. Presentation is driven from the events it emits (see GAME_EVENTS,
+ * subscribe with on/off/once), and time only advances through
+ * update()/step(), so full games can run headless in Node.
  */
 
-class GameEngine {
+// In Node, load dependencies that the browser provides via <script> tags
+if (typeof module !== "undefined" && typeof SeededRandom === "undefined") require("./random.js");
+if (typeof module !== "undefined" && typeof ItemTypes === "undefined") require("./itemTypes.js");
+if (typeof module !== "undefined" && typeof StagePack === "undefined") require("./stagePack.js");
+if (typeof module !== "undefined" && typeof GameModes === "undefined") require("./gameModes.js");
+if (typeof module !== "undefined" && typeof RunStats === "undefined") require("./runStats.js");
+if (typeof module !== "undefined" && typeof EventEmitter === "undefined") require("./eventEmitter.js");
+if (typeof module !== "undefined" && typeof DifficultyController === "undefined") require("./difficultyController.js");
+
+// Simulation runs in fixed steps so speed is the same on every display.
+const FIXED_STEP_MS = 1000 / 60;
+// Cap on a single frame's delta (e.g. after a tab was in the background)
+const MAX_FRAME_MS = 250;
+// Bumped whenever rule changes would make older replays play out differently
+const REPLAY_VERSION = 2;
+const MIN_LANES = 2;
+const MAX_LANES = 7;
+// Half the basket width + half an item width (80px + 40px on a 400px field)
+const CATCH_HALF_WIDTH = 15;
+// Where the basket rim sits inside the catch window (80 < y < 95)
+const BASKET_LINE_Y = 88;
+
+// Cues sent with "soundCue" (SoundManager has a sound for each)
+const SOUND_CUES = [
+  "coin", // Apple / ZigZag caught
+  "banana", // Banana caught
+  "golden", // Golden fruit caught
+  "shield", // Shield picked up
+  "shieldBreak", // the shield absorbed a bomb
+  "explosion", // unshielded bomb
+  "powerUp", // Magnet / Time Slow started
+  "powerUpStored", // Magnet / Time kept for later (manualPowerUps)
+  "powerDown", // Magnet / Time Slow ran out
+  "perfect", // perfect catch bonus
+  "combo", // the multiplier went up
+  "miss", // a fruit fell past the basket
+  "freeze", // a Freeze hazard locked the basket
+  "thaw", // the basket can move again
+  "levelUp"
+];
+
+// Events emitted by the engine and their payloads
+const GAME_EVENTS = [
+  "gameStarted", // { config }
+  "gamePaused", // { reason: "manual" | "absent" | "rest" }
+  "resumeCountdown", // { seconds } left before a paused game resumes
+  "gameResumed", // {}
+  "gameEnded", // { score, level, reason }
+  "levelUp", // { level }
+  "difficultyChanged", // { entry } adaptive difficulty adjusted (see difficultyController.js)
+  "scoreChanged", // { score, level }
+  "timeUpdated", // { time } seconds left, or seconds played in untimed modes
+  "livesChanged", // { lives } (null in modes without lives)
+  "comboChanged", // { combo, multiplier }
+  "basketMoved", // { lane, x }
+  "itemSpawned", // { item }
+  "itemCaught", // { item } anything but a bomb (hazards too)
+  "itemMissed", // { item } fell past the basket (for a bomb: dodged)
+  "itemRemoved", // { item, reason: "caught" | "missed" | "cleared" }
+  "bombHit", // { item, shielded }
+  "shieldBroken", // { item } the bomb the shield absorbed
+  "effectStarted", // { effect: "shield" | "magnet" | "timeSlow" | "freeze" }
+  "effectEnded", // { effect }
+  "effectsChanged", // { shield, magnet, timeSlow, frozen, stored }
+  "scorePopup", // { itemId, points, multiplier, perfect, lane, x, y }
+  "soundCue", // { cue } see SOUND_CUES
+  "render" // { items } once per frame
+];
+
+class GameEngine extends EventEmitter {
   constructor() {
+    super(GAME_EVENTS);
     this.score = 0;
     this.level = 1;
     this.timeLimit = 0;
+    this.elapsedSeconds = 0;
+    this.lives = null;
     this.isGameActive = false;
-    this.gameTimer = null;
-    this.spawnTimer = null;
-    this.gameLoopId = null;
-
-    // Callbacks
-    this.onScoreChange = null;
-    this.onGameEnd = null;
-    this.onTimeUpdate = null;
-    this.onItemSpawn = null;
-    this.onItemRemove = null;
-    this.onBasketMove = null;
-    this.onEffectChange = null; // New: Notify UI about active effects
+
+    // Game Clock (all times in simulation milliseconds)
+    this.simTime = 0;
+    this.stepCount = 0;
+    this.accumulator = 0;
+    this.timeRemaining = 0;
+    this.nextSpawnTime = 0;
+
+    // Replay: inputs are stored as [step, value, source] where value is a
+    // lane name ("Left" | "Center" | "Right"), "lane:N", an analog x or "powerup"
+    this.inputLog = [];
+    this.isReplaying = false;
+    this.replayInputs = [];
+    this.replayCursor = 0;
+    this.replayResult = null; // recorded result, ends runs the player quit
+    this.endReason = null;
+
+    // Listeners registered through the set*Callback wrappers (one per setter)
+    this.legacyListeners = {};
 
     // Game State
     this.currentPose = "Center";
     this.items = [];
     this.itemCounter = 0;
-    this.basketPosition = "Center";
+    this.laneCount = 3;
+    this.basketLane = 1; // lane index, 0 = leftmost
+    this.basketX = 50;
+    this.control = "lanes"; // "lanes" | "analog"
+    this.isPaused = false;
+    this.pauseReason = null; // "manual" | "absent" (player left the camera frame) | "rest" (workout) | "camera" (camera disconnected)
+    this.resumeCountdown = null; // ms left before resuming, null when not counting down
+    this.stats = null; // RunStats of the current (or last) run
+    this.difficulty = null; // DifficultyController when config.adaptive is set
+
+    // Scoring (combo multiplier, see gameModes.js DEFAULT_SCORING)
+    this.scoring = GameModes.scoring("classic");
+    this.combo = 0;
+    this.multiplier = 1;
+
+    // Randomness (every random decision uses this.rng)
+    this.seed = 0;
+    this.rng = new SeededRandom(0);
+    this.config = {}; // Resolved config of the current run
 
     // Active Effects
     this.hasShield = false;
-    this.magnetTimer = null;
-    this.timeSlowTimer = null;
+    this.magnetEndTime = 0;
+    this.timeSlowEndTime = 0;
     this.isMagnetActive = false;
     this.isTimeSlowActive = false;
-
-    // Settings
-    this.spawnRate = 2000;
-    this.baseSpeed = 0.5;
+    this.manualPowerUps = false; // Magnet/Time are stored until a "powerup" input
+    this.storedPowerUp = null;
+    this.isBasketFrozen = false; // Freeze hazard: moves wait until it thaws
+    this.freezeEndTime = 0;
+    this.frozenInput = null; // latest move while frozen, applied on thaw
+
+    // Mode (end conditions, see gameModes.js) and Stage (item catalog + level table, see stagePack.js)
+    this.mode = GameModes.get("classic");
+    this.stage = StagePack.CLASSIC;
+    this.levelIndex = 0;
+
+    // Settings (speeds are in percent of the play field per second)
+    this.spawnRate = 1800;
+    this.baseSpeed = 18;
   }
 
   start(config = {}) {
     if (this.isGameActive) return;
 
+    // Validate first so a broken mode or stage pack never half-starts a game
+    this.mode = GameModes.get(config.mode);
+    this.stage = StagePack.validate(config.stage || StagePack.CLASSIC);
+
     this.isGameActive = true;
     this.score = 0;
-    this.level = 1;
-    this.timeLimit = config.timeLimit || 60;
+    this.timeLimit = config.timeLimit || this.stage.timeLimit;
+    this.elapsedSeconds = 0;
+    this.lives = this.mode.lives;
+    this.scoring = { ...GameModes.scoring(this.mode.id), ...(config.scoring || {}) };
+    this.combo = 0;
+    this.multiplier = 1;
+    this.control = config.control === "analog" ? "analog" : "lanes";
+    this.laneCount = Math.min(MAX_LANES, Math.max(MIN_LANES, Math.round(config.lanes || 3)));
+    this.manualPowerUps = !!config.manualPowerUps;
+    this.seed = config.seed !== undefined ? config.seed >>> 0 : SeededRandom.randomSeed();
+    this.rng = new SeededRandom(this.seed);
+    this.config = {
+      ...config,
+      mode: this.mode.id,
+      control: this.control,
+      lanes: this.laneCount,
+      manualPowerUps: this.manualPowerUps,
+      stage: this.stage,
+      timeLimit: this.timeLimit,
+      seed: this.seed
+    };
     this.items = [];
     this.currentPose = "Center";
-    this.basketPosition = "Center";
-    this.baseSpeed = 0.3;
+    this.basketLane = this.laneFromName("Center");
+    this.basketX = this.laneX(this.basketLane);
+    this.isPaused = false;
+    this.pauseReason = null;
+    this.resumeCountdown = null;
+    this.applyLevel(0);
+
+    // Reset Clock
+    this.simTime = 0;
+    this.stepCount = 0;
+    this.accumulator = 0;
+    this.timeRemaining = this.timeLimit * 1000;
+    this.nextSpawnTime = 0;
+
+    // Reset Recording
+    this.inputLog = [];
+    this.isReplaying = false;
+    this.endReason = null;
 
     // Reset Effects
     this.hasShield = false;
+    this.storedPowerUp = null;
+    this.isBasketFrozen = false;
+    this.frozenInput = null;
     this.disableMagnet();
     this.disableTimeSlow();
     this.notifyEffects();
 
-    this.startTimer();
-    this.startSpawning();
-    this.startGameLoop();
+    // Per-run statistics (results screen)
+    this.stats = new RunStats(this.laneCount);
+
+    // Adaptive difficulty (true for the defaults, or an options object)
+    this.difficulty = config.adaptive
+      ? new DifficultyController(config.adaptive === true ? {} : config.adaptive)
+      : null;
+
+    // Initial HUD state
+    this.emit("gameStarted", { config: this.config });
+    this.emit("scoreChanged", { score: this.score, level: this.level });
+    this.emit("timeUpdated", { time: this.mode.timed ? this.timeLimit : 0 });
+    this.emit("livesChanged", { lives: this.lives });
+    this.emit("comboChanged", { combo: this.combo, multiplier: this.multiplier });
+    this.emit("basketMoved", { lane: this.basketLane, x: this.basketX });
   }
 
   stop(reason = "Unknown") {
+    if (!this.isGameActive) return;
     this.isGameActive = false;
-    clearInterval(this.gameTimer);
-    clearTimeout(this.spawnTimer);
-    cancelAnimationFrame(this.gameLoopId);
+    this.endReason = reason;
+    this.resumeCountdown = null;
 
     this.disableMagnet();
     this.disableTimeSlow();
 
-    if (this.onGameEnd) {
-      this.onGameEnd(this.score, this.level, reason);
-    }
+    this.emit("gameEnded", { score: this.score, level: this.level, reason });
   }
 
-  startTimer() {
-    this.gameTimer = setInterval(() => {
-      this.timeLimit--;
-      if (this.onTimeUpdate) this.onTimeUpdate(this.timeLimit);
+  /**
+   * End the current run silently (no gameEnded event), removing its items.
+   * Used when a replay is restarted for seeking.
+   */
+  abort() {
+    this.isGameActive = false;
+    this.items.forEach(item => {
+      this.emit("itemRemoved", { item, reason: "cleared" });
+    });
+    this.items = [];
+    this.disableMagnet();
+    this.disableTimeSlow();
+  }
 
-      if (this.timeLimit === 40 || this.timeLimit === 20) {
-        this.level++;
-        this.baseSpeed += 0.1;
-        if (this.onScoreChange) this.onScoreChange(this.score, this.level);
-      }
+  /**
+   * Start playing back a recorded replay. Live input is ignored until
+   * the replay ends; the recorded inputs are applied at their steps.
+   * @param {Object} replay - object produced by getReplay()
+   */
+  startReplay(replay) {
+    GameEngine.validateReplay(replay);
+    this.abort();
+    this.start(replay.config);
+    this.isReplaying = true;
+    this.replayInputs = replay.inputs;
+    this.replayCursor = 0;
+    this.replayResult = replay.result;
+  }
 
-      if (this.timeLimit <= 0) {
-        this.stop("Timeout");
+  /**
+   * Apply recorded inputs that belong to the current step
+   */
+  applyReplayInputs() {
+    while (this.replayCursor < this.replayInputs.length &&
+      this.replayInputs[this.replayCursor][0] <= this.stepCount) {
+      const [, value] = this.replayInputs[this.replayCursor++];
+      this.applyInput(value);
+    }
+  }
+
+  /**
+   * Compact JSON-friendly record of the current (or last) run
+   */
+  getReplay() {
+    return {
+      version: REPLAY_VERSION,
+      stepMs: FIXED_STEP_MS,
+      config: { ...this.config },
+      inputs: this.inputLog.map(entry => entry.slice()),
+      result: {
+        score: this.score,
+        level: this.level,
+        reason: this.endReason,
+        steps: this.stepCount
       }
-    }, 1000);
+    };
   }
 
-  startSpawning() {
-    const spawn = () => {
-      if (!this.isGameActive) return;
+  /**
+   * Throws an Error when the object is not a usable replay
+   */
+  static validateReplay(replay) {
+    if (!replay || typeof replay !== "object") throw new Error("Replay must be an object");
+    if (replay.version !== REPLAY_VERSION) throw new Error(`Unsupported replay version: ${replay.version}`);
+    if (!replay.config || typeof replay.config.seed !== "number") throw new Error("Replay config is missing a seed");
+    if (!Array.isArray(replay.inputs)) throw new Error("Replay inputs must be an array");
+    if (!replay.result || typeof replay.result.steps !== "number") throw new Error("Replay result is missing a step count");
+  }
 
-      this.spawnItem();
+  /**
+   * Countdown driven by the game clock. Untimed modes report the
+   * elapsed seconds through timeUpdated instead.
+   */
+  updateTimer(dt) {
+    if (!this.mode.timed) {
+      const elapsed = Math.floor(this.simTime / 1000);
+      if (elapsed === this.elapsedSeconds) return;
+      this.elapsedSeconds = elapsed;
+      this.emit("timeUpdated", { time: this.elapsedSeconds });
+      return;
+    }
 
-      let nextSpawnTime = 2000 - (this.level * 200);
-      if (nextSpawnTime < 800) nextSpawnTime = 800;
+    this.timeRemaining -= dt;
+    const seconds = Math.max(0, Math.ceil(this.timeRemaining / 1000));
+    if (seconds === this.timeLimit) return;
 
-      this.spawnTimer = setTimeout(spawn, nextSpawnTime);
-    };
-    spawn();
+    this.timeLimit = seconds;
+    this.emit("timeUpdated", { time: this.timeLimit });
+
+    if (this.timeLimit <= 0) {
+      this.stop("Timeout");
+    }
   }
 
-  spawnItem() {
-    const lanes = ["Left", "Center", "Right"];
-    const lane = lanes[Math.floor(Math.random() * lanes.length)];
+  /**
+   * Move to the next level once its startsAt time is reached
+   */
+  updateLevel() {
+    const next = this.stage.levels[this.levelIndex + 1];
+    if (!next || this.simTime < next.startsAt * 1000) return;
+
+    this.applyLevel(this.levelIndex + 1);
+    this.emit("levelUp", { level: this.level });
+    this.emitSound("levelUp");
+    this.emit("scoreChanged", { score: this.score, level: this.level });
+  }
+
+  applyLevel(index) {
+    const level = this.stage.levels[index];
+    this.levelIndex = index;
+    this.level = index + 1;
+    this.baseSpeed = level.fallSpeed;
+    this.spawnRate = level.spawnInterval;
+  }
+
+  updateDifficulty() {
+    if (!this.difficulty) return;
+    const entry = this.difficulty.update(this.simTime, this.level);
+    if (entry) this.emit("difficultyChanged", { entry });
+  }
 
-    const rand = Math.random();
-    let type = "Apple"; // 50%
-    let points = 100;
+  /**
+   * Spawn scheduling driven by the game clock
+   */
+  updateSpawning() {
+    if (this.simTime < this.nextSpawnTime) return;
 
-    // Item Probabilities
-    if (rand < 0.15) { type = "Bomb"; points = 0; } // 15%
-    else if (rand < 0.25) { type = "Banana"; points = 200; } // 10%
-    else if (rand < 0.30) { type = "Shield"; points = 0; } // 5%
-    else if (rand < 0.35) { type = "Magnet"; points = 0; } // 5%
-    else if (rand < 0.40) { type = "Time"; points = 0; } // 5%
+    this.spawnItem();
+    const interval = this.difficulty ? this.spawnRate * this.difficulty.spawnInterval : this.spawnRate;
+    this.nextSpawnTime = this.simTime + interval;
+  }
+
+  spawnItem() {
+    const spawnLane = this.rng.nextInt(this.laneCount);
+
+    // Modes without bombs drop the harmful items, items as wide as the field
+    // (a two-lane bomb on two lanes) can't be dodged; adaptive difficulty scales bombs
+    const weights = { ...this.stage.levels[this.levelIndex].weights };
+    Object.keys(weights).forEach(type => {
+      const { kind, lanes } = ItemTypes.get(type);
+      if (!this.mode.bombs && (kind === "bomb" || kind === "hazard")) delete weights[type];
+      else if (lanes >= this.laneCount) delete weights[type];
+      else if (this.difficulty && kind === "bomb") weights[type] *= this.difficulty.bombWeight;
+    });
+    if (!Object.values(weights).some(weight => weight > 0)) return;
 
-    let speed = this.baseSpeed;
-    if (type === "Banana") speed += 0.2;
-    // If Time Slow is active, reduce initial speed (though physics update handles it too)
+    const type = StagePack.pickWeighted(weights, this.rng.next());
+    const itemType = ItemTypes.get(type);
+    const def = this.stage.items[type];
+    const points = def.points;
+    const baseSpeed = this.difficulty ? this.baseSpeed * this.difficulty.speed : this.baseSpeed;
+    const speed = baseSpeed + (def.speedBonus || 0);
+    // Wide items start far enough left to fit on the field
+    const lane = Math.min(spawnLane, this.laneCount - itemType.lanes);
 
     const item = {
       id: `item_${this.itemCounter++}`,
       type: type,
+      kind: itemType.kind,
       points: points,
       lane: lane,
+      lanes: itemType.lanes,
+      x: this.itemX(lane, itemType.lanes),
       y: 0,
       originalSpeed: speed,
       speed: speed
     };
+    if (itemType.onSpawn) itemType.onSpawn(this, item);
 
     this.items.push(item);
-    if (this.onItemSpawn) this.onItemSpawn(item);
+    this.stats.itemSpawned(item, this.simTime, this.isUnderBasket(item));
+    this.emit("itemSpawned", { item });
   }
 
-  startGameLoop() {
-    const loop = () => {
-      if (!this.isGameActive) return;
-      this.updatePhysics();
-      this.gameLoopId = requestAnimationFrame(loop);
-    };
-    this.gameLoopId = requestAnimationFrame(loop);
+  /**
+   * Feed real elapsed time into the fixed-timestep accumulator.
+   * Called once per frame by the host (GameLoop in the browser, a plain
+   * for-loop in Node). Returns whether the game is still running.
+   * @param {number} frameDelta - elapsed real time in ms
+   */
+  update(frameDelta) {
+    if (!this.isGameActive) return false;
+    if (this.isPaused) {
+      if (this.resumeCountdown !== null) this.updateResumeCountdown(frameDelta);
+      return true;
+    }
+
+    this.accumulator += Math.min(frameDelta, MAX_FRAME_MS);
+    while (this.accumulator >= FIXED_STEP_MS && this.isGameActive) {
+      this.step(FIXED_STEP_MS);
+      this.accumulator -= FIXED_STEP_MS;
+    }
+
+    this.emit("render", { items: this.items });
+    return this.isGameActive;
   }
 
-  updatePhysics() {
+  /**
+   * Advance the whole simulation by one fixed step
+   */
+  step(dt = FIXED_STEP_MS) {
+    if (this.isReplaying) this.applyReplayInputs();
+    this.stepCount++;
+    this.simTime += dt;
+    this.updateLevel();
+    this.updateDifficulty();
+    this.updateEffects();
+    this.updateSpawning();
+    this.updatePhysics(dt);
+    this.stats.tick(dt, { magnet: this.isMagnetActive, timeSlow: this.isTimeSlowActive });
+    if (this.isGameActive) this.updateTimer(dt);
+
+    // Quit isn't a simulation event, so end the replay where the run ended
+    if (this.isReplaying && this.isGameActive && this.stepCount >= this.replayResult.steps) {
+      this.stop(this.replayResult.reason || "Quit");
+    }
+  }
+
+  updatePhysics(dt) {
     this.items.forEach(item => {
       // Apply Time Slow Effect
       let currentSpeed = item.originalSpeed;
       if (this.isTimeSlowActive) currentSpeed *= 0.5;
 
-      item.y += currentSpeed;
+      const itemType = ItemTypes.get(item.type);
+      const distance = currentSpeed * (dt / 1000);
+      if (itemType.fall) itemType.fall(this, item, distance);
+      else item.y += distance;
 
       // Magnet Pull Logic
-      if (this.isMagnetActive && item.y > 50 && ["Apple", "Banana", "Shield", "Magnet", "Time"].includes(item.type)) {
-        // Move item lane towards basketPosition
-        // Simple visual logic: snap to basket lane if close enough in Y?
-        // Or literally change the lane property so it renders in the new lane
-        if (item.lane !== this.basketPosition) {
-          item.lane = this.basketPosition;
-        }
+      if (this.isMagnetActive && item.y > 50 && itemType.magnetic) {
+        // Snap the item onto the basket so it renders there
+        item.lane = this.basketLane;
+        item.x = this.basketX;
+        this.stats.itemPulled(item);
+      } else {
+        this.stats.itemMoved(item, this.simTime, this.isUnderBasket(item));
+      }
+
+      // Adaptive difficulty: was the basket in the bomb's way just before it arrived?
+      if (this.difficulty && item.kind === "bomb" && item.y > 60 && item.y <= 80 && this.isUnderBasket(item)) {
+        this.difficulty.bombInPath(item);
       }
     });
 
     this.items = this.items.filter(item => {
       if (item.y > 100) {
-        if (this.onItemRemove) this.onItemRemove(item.id);
+        const isFruit = item.kind === "fruit";
+        this.stats.itemMissed(item, isFruit);
+        if (this.difficulty) {
+          if (isFruit) this.difficulty.fruitMissed();
+          else if (item.kind === "bomb") this.difficulty.bombDodged(item);
+        }
+        this.emit("itemMissed", { item });
+        this.emit("itemRemoved", { item, reason: "missed" });
+        if (isFruit) this.handleMiss(item);
         return false;
       }
 
       // Collision Logic
       if (item.y > 80 && item.y < 95) {
-        // Normal Catch
-        let caught = (item.lane === this.basketPosition);
+        // Normal Catch (lane match, or horizontal overlap in analog control)
+        let caught = this.isUnderBasket(item);
 
-        // Magnet Catch (Only for positive items)
-        if (this.isMagnetActive && ["Apple", "Banana", "Shield", "Magnet", "Time"].includes(item.type)) {
+        // Magnet Catch (Only for magnetic items)
+        if (this.isMagnetActive && ItemTypes.get(item.type).magnetic) {
           // Visualize magnet pull? For now just catch if in range
           caught = true;
         }
 
         if (caught) {
           this.handleCatch(item);
-          if (this.onItemRemove) this.onItemRemove(item.id);
+          this.emit("itemRemoved", { item, reason: "caught" });
           return false;
         }
       }
 
       return true;
     });
+  }
 
-    if (this.onRender) this.onRender(this.items);
+  /**
+   * Lane match, or horizontal overlap in analog control.
+   * Wide items count in every lane they cover.
+   */
+  isUnderBasket(item) {
+    return this.control === "analog"
+      ? Math.abs(item.x - this.basketX) < CATCH_HALF_WIDTH + (item.lanes - 1) * 50 / this.laneCount
+      : this.basketLane >= item.lane && this.basketLane < item.lane + item.lanes;
   }
 
+  /**
+   * Shared rules by kind, then the type's own onCatch (see itemTypes.js)
+   */
   handleCatch(item) {
-    switch (item.type) {
-      case "Bomb":
-        if (this.hasShield) {
-          this.hasShield = false; // Consume shield
-          this.notifyEffects();
-          // Sound effect for shield break?
-        } else {
-          if (window.soundManager) window.soundManager.playExplosion();
-          document.getElementById("game-area").classList.add("shake");
-          setTimeout(() => document.getElementById("game-area").classList.remove("shake"), 500);
-          this.stop("Bomb"); // Game Over
-        }
-        break;
-      case "Shield":
-        this.hasShield = true;
-        this.notifyEffects();
-        break;
-      case "Magnet":
-        this.activateMagnet();
-        break;
-      case "Time":
-        this.activateTimeSlow();
-        break;
-      case "Banana":
-        this.addScore(200);
-        break;
-      case "Apple":
-      default:
-        if (window.soundManager) window.soundManager.playCoin();
-        this.addScore(100);
-        break;
+    if (item.kind === "bomb") {
+      this.catchBomb(item);
+      return;
     }
 
-    // Visual Pop for score (hacky DOM access from Engine, but keeps it simple)
-    if (item.points > 0) {
-      const el = document.getElementById(item.id);
-      if (el) {
-        const popup = document.createElement("div");
-        popup.className = "score-popup";
-        popup.innerText = `+${item.points}`;
-        popup.style.left = el.style.left;
-        popup.style.top = el.style.top;
-        document.getElementById("game-area").appendChild(popup);
-        setTimeout(() => popup.remove(), 800);
-      }
+    this.emit("itemCaught", { item });
+    const itemType = ItemTypes.get(item.type);
+    if (itemType.onCatch) itemType.onCatch(this, item);
+    if (item.kind === "hazard") {
+      this.stats.hazardHit(item);
+      return;
     }
+
+    this.stats.itemCaught(item);
+    if (this.difficulty && item.kind === "fruit") this.difficulty.fruitCaught();
+    this.setCombo(this.combo + 1);
+    if (item.points > 0) this.scoreCatch(item);
+  }
+
+  catchBomb(item) {
+    this.stats.bombHit(item, this.hasShield);
+    if (this.difficulty) this.difficulty.bombHit(item);
+    this.emit("bombHit", { item, shielded: this.hasShield });
+    if (this.hasShield) {
+      this.hasShield = false; // Consume shield
+      this.emitSound("shieldBreak");
+      this.emit("shieldBroken", { item });
+      this.emit("effectEnded", { effect: "shield" });
+      this.notifyEffects();
+    } else {
+      this.emitSound("explosion");
+      this.handleBomb(item);
+    }
+  }
+
+  /**
+   * Points for a caught item: multiplied by the combo, plus a bonus when
+   * the basket got there right as the item reached the basket line
+   */
+  scoreCatch(item) {
+    const perfect = this.scoring.perfectBonus > 0 && !this.isMagnetActive &&
+      Math.abs(item.y - BASKET_LINE_Y) <= this.scoring.perfectWindow;
+    const points = item.points * this.multiplier + (perfect ? this.scoring.perfectBonus : 0);
+    this.addScore(points);
+    if (perfect) this.emitSound("perfect");
+
+    this.emit("scorePopup", { itemId: item.id, points, multiplier: this.multiplier, perfect, lane: item.lane, x: item.x, y: item.y });
+  }
+
+  setCombo(combo) {
+    const { comboStep, maxMultiplier } = this.scoring;
+    const previous = this.multiplier;
+    this.combo = combo;
+    this.multiplier = comboStep > 0 ? Math.min(maxMultiplier, 1 + Math.floor(combo / comboStep)) : 1;
+    if (this.multiplier > previous) this.emitSound("combo");
+    this.emit("comboChanged", { combo: this.combo, multiplier: this.multiplier });
+  }
+
+  breakCombo() {
+    if (this.combo > 0) this.setCombo(0);
+  }
+
+  /**
+   * Unshielded bomb: penalty, lost life or game over depending on the mode
+   */
+  handleBomb(item) {
+    this.breakCombo();
+    if (this.mode.bombPenalty > 0) {
+      this.addScore(-this.mode.bombPenalty);
+      this.emit("scorePopup", { itemId: item.id, points: -this.mode.bombPenalty, multiplier: 1, perfect: false, lane: item.lane, x: item.x, y: item.y });
+    } else if (this.lives !== null) {
+      this.loseLife();
+    } else {
+      this.stop("Bomb"); // Game Over
+    }
+  }
+
+  /**
+   * A fruit fell past the basket
+   */
+  handleMiss(item) {
+    this.emitSound("miss");
+    this.breakCombo();
+    if (this.scoring.missPenalty > 0) {
+      this.addScore(-this.scoring.missPenalty);
+      this.emit("scorePopup", { itemId: item.id, points: -this.scoring.missPenalty, multiplier: 1, perfect: false, lane: item.lane, x: item.x, y: 95 });
+    }
+    if (this.lives !== null) this.loseLife();
+  }
+
+  loseLife() {
+    this.lives--;
+    this.emit("livesChanged", { lives: this.lives });
+    if (this.lives <= 0) this.stop("NoLives");
+  }
+
+  emitSound(cue) {
+    if (!SOUND_CUES.includes(cue)) throw new Error(`Unknown sound cue: ${cue}`);
+    this.emit("soundCue", { cue });
   }
 
   // Effect Logic
+  pickUpShield() {
+    this.emitSound("shield");
+    if (!this.hasShield) this.emit("effectStarted", { effect: "shield" });
+    this.hasShield = true;
+    this.notifyEffects();
+  }
+
+  /**
+   * Magnet / Time: start it now, or keep it for a "powerup" input (manualPowerUps)
+   */
+  pickUpPowerUp(type) {
+    if (this.manualPowerUps) {
+      this.storedPowerUp = type;
+      this.emitSound("powerUpStored");
+      this.notifyEffects();
+    } else {
+      this.activatePowerUp(type);
+    }
+  }
+
+  activatePowerUp(type) {
+    this.emitSound("powerUp");
+    if (type === "Magnet") this.activateMagnet();
+    else if (type === "Time") this.activateTimeSlow();
+  }
+
+  /**
+   * Use the stored power-up (manualPowerUps only)
+   */
+  useStoredPowerUp() {
+    if (!this.storedPowerUp) return false;
+    const type = this.storedPowerUp;
+    this.storedPowerUp = null;
+    this.activatePowerUp(type);
+    this.notifyEffects();
+    return true;
+  }
+
   activateMagnet() {
+    if (!this.isMagnetActive) this.emit("effectStarted", { effect: "magnet" });
     this.isMagnetActive = true;
+    this.magnetEndTime = this.simTime + this.stage.effectDuration;
     this.notifyEffects();
-    if (this.magnetTimer) clearTimeout(this.magnetTimer);
-    this.magnetTimer = setTimeout(() => {
-      this.disableMagnet();
-    }, 5000); // 5 seconds
   }
 
   disableMagnet() {
+    if (this.isMagnetActive) this.emit("effectEnded", { effect: "magnet" });
     this.isMagnetActive = false;
     this.notifyEffects();
-    if (this.magnetTimer) clearTimeout(this.magnetTimer);
   }
 
   activateTimeSlow() {
+    if (!this.isTimeSlowActive) this.emit("effectStarted", { effect: "timeSlow" });
     this.isTimeSlowActive = true;
+    this.timeSlowEndTime = this.simTime + this.stage.effectDuration;
     this.notifyEffects();
-    if (this.timeSlowTimer) clearTimeout(this.timeSlowTimer);
-    this.timeSlowTimer = setTimeout(() => {
-      this.disableTimeSlow();
-    }, 5000); // 5 seconds
   }
 
   disableTimeSlow() {
+    if (this.isTimeSlowActive) this.emit("effectEnded", { effect: "timeSlow" });
     this.isTimeSlowActive = false;
     this.notifyEffects();
-    if (this.timeSlowTimer) clearTimeout(this.timeSlowTimer);
+  }
+
+  /**
+   * Lock the basket for ms of game time. Moves made meanwhile are held
+   * back (and still recorded), and the latest one applies on thaw.
+   */
+  freezeBasket(ms) {
+    this.emitSound("freeze");
+    if (!this.isBasketFrozen) this.emit("effectStarted", { effect: "freeze" });
+    this.isBasketFrozen = true;
+    this.freezeEndTime = this.simTime + ms;
+    this.notifyEffects();
+  }
+
+  thawBasket() {
+    if (this.isBasketFrozen) this.emit("effectEnded", { effect: "freeze" });
+    this.isBasketFrozen = false;
+    this.notifyEffects();
+
+    const input = this.frozenInput;
+    this.frozenInput = null;
+    if (input !== null) this.applyInput(input);
+  }
+
+  /**
+   * Expire timed effects against the game clock
+   */
+  updateEffects() {
+    if (this.isMagnetActive && this.simTime >= this.magnetEndTime) {
+      this.disableMagnet();
+      this.emitSound("powerDown");
+    }
+    if (this.isTimeSlowActive && this.simTime >= this.timeSlowEndTime) {
+      this.disableTimeSlow();
+      this.emitSound("powerDown");
+    }
+    if (this.isBasketFrozen && this.simTime >= this.freezeEndTime) {
+      this.emitSound("thaw");
+      this.thawBasket();
+    }
   }
 
   notifyEffects() {
-    if (this.onEffectChange) {
-      this.onEffectChange({
-        shield: this.hasShield,
-        magnet: this.isMagnetActive,
-        timeSlow: this.isTimeSlowActive
-      });
+    this.emit("effectsChanged", {
+      shield: this.hasShield,
+      magnet: this.isMagnetActive,
+      timeSlow: this.isTimeSlowActive,
+      frozen: this.isBasketFrozen,
+      stored: this.storedPowerUp
+    });
+  }
+
+  /**
+   * Pause/resume: the simulation simply stops consuming time, so the
+   * countdown, spawner and effect timers all freeze with it.
+   * Pausing during a resume countdown cancels the countdown.
+   * @param {string} reason - "manual" | "absent" | "rest" | "camera"
+   */
+  pause(reason = "manual") {
+    if (!this.isGameActive || (this.isPaused && this.resumeCountdown === null)) return;
+    this.isPaused = true;
+    this.pauseReason = reason;
+    this.resumeCountdown = null;
+    this.accumulator = 0;
+    this.emit("gamePaused", { reason });
+  }
+
+  /**
+   * @param {number} countdownMs - real time to count down before play
+   *   continues (driven by update(), so not while stepping manually)
+   */
+  resume(countdownMs = 0) {
+    if (!this.isPaused || this.resumeCountdown !== null) return;
+    if (countdownMs > 0) {
+      this.resumeCountdown = countdownMs;
+      this.emit("resumeCountdown", { seconds: Math.ceil(countdownMs / 1000) });
+      return;
     }
+    this.isPaused = false;
+    this.pauseReason = null;
+    this.emit("gameResumed");
   }
 
-  onPoseDetected(detectedPose) {
-    if (!this.isGameActive) return;
-    if (["Left", "Center", "Right"].includes(detectedPose)) {
-      this.basketPosition = detectedPose;
-      if (this.onBasketMove) this.onBasketMove(this.basketPosition);
+  togglePause(countdownMs = 0) {
+    if (this.isPaused && this.resumeCountdown === null) this.resume(countdownMs);
+    else this.pause();
+  }
+
+  updateResumeCountdown(frameDelta) {
+    const before = Math.ceil(this.resumeCountdown / 1000);
+    this.resumeCountdown -= Math.min(frameDelta, MAX_FRAME_MS);
+    if (this.resumeCountdown <= 0) {
+      this.resumeCountdown = null;
+      this.resume();
+      return;
     }
+    const seconds = Math.ceil(this.resumeCountdown / 1000);
+    if (seconds !== before) this.emit("resumeCountdown", { seconds });
   }
 
-  addScore(points) {
-    this.score += points;
-    if (this.onScoreChange) {
-      this.onScoreChange(this.score, this.level);
+  /**
+   * Live input entry point (pose model, keyboard, label mapping)
+   * @param {string} detectedPose - "Left" | "Center" | "Right", "lane:N" or "powerup"
+   * @param {string} source - where the input came from, kept in the replay
+   */
+  onPoseDetected(detectedPose, source = "pose") {
+    if (!this.isGameActive || this.isReplaying || this.isPaused) return;
+    if (!this.applyInput(detectedPose)) return;
+    this.recordInput(detectedPose, source);
+  }
+
+  /**
+   * Live analog input (only used in "analog" control)
+   * @param {number} x - basket center in percent of the play field (0-100)
+   * @param {string} source
+   */
+  onBasketXDetected(x, source = "analog") {
+    if (!this.isGameActive || this.isReplaying || this.isPaused || this.control !== "analog") return;
+    // 0.5% steps are finer than a pixel and keep replays compact
+    const value = Math.round(Math.min(100, Math.max(0, x)) * 2) / 2;
+    this.applyBasketX(value);
+    this.recordInput(value, source);
+  }
+
+  /**
+   * Repeated identical inputs don't change the simulation, so only
+   * record when the value or its source differs from the last entry.
+   */
+  recordInput(value, source) {
+    const last = this.inputLog[this.inputLog.length - 1];
+    if (!last || last[1] !== value || last[2] !== source) {
+      this.inputLog.push([this.stepCount, value, source]);
+    }
+  }
+
+  /**
+   * Apply an input value as stored in the replay
+   */
+  applyInput(value) {
+    if (typeof value === "number") return this.applyBasketX(value);
+    if (value === "powerup") return this.useStoredPowerUp();
+
+    const lane = this.parseLane(value);
+    if (lane === null) return false;
+    if (this.isBasketFrozen) {
+      this.frozenInput = value;
+      return true;
     }
+    this.basketLane = lane;
+    this.basketX = this.laneX(lane);
+    this.emit("basketMoved", { lane: this.basketLane, x: this.basketX });
+    return true;
+  }
+
+  applyBasketX(x) {
+    if (this.isBasketFrozen) {
+      this.frozenInput = x;
+      return true;
+    }
+    this.basketX = x;
+    this.basketLane = this.laneAtX(x);
+    this.emit("basketMoved", { lane: this.basketLane, x: this.basketX });
+    return true;
+  }
+
+  /**
+   * "Left" | "Center" | "Right" | "lane:N" -> lane index (null if invalid)
+   */
+  parseLane(value) {
+    if (typeof value !== "string") return null;
+    const match = /^lane:(\d+)$/.exec(value);
+    if (match) {
+      const lane = Number(match[1]);
+      return lane < this.laneCount ? lane : null;
+    }
+    return this.laneFromName(value);
+  }
+
+  /**
+   * Named lanes: Left/Right are the outer lanes, Center the middle one
+   */
+  laneFromName(name) {
+    if (name === "Left") return 0;
+    if (name === "Right") return this.laneCount - 1;
+    if (name === "Center") return Math.floor(this.laneCount / 2);
+    return null;
+  }
+
+  /**
+   * Lane center in percent of the play field
+   */
+  laneX(lane) {
+    return (lane + 0.5) * (100 / this.laneCount);
   }
 
-  // Setters
-  setScoreChangeCallback(cb) { this.onScoreChange = cb; }
-  setGameEndCallback(cb) { this.onGameEnd = cb; }
-  setBasketMoveCallback(cb) { this.onBasketMove = cb; }
-  setItemSpawnCallback(cb) { this.onItemSpawn = cb; }
-  setItemRemoveCallback(cb) { this.onItemRemove = cb; }
-  setRenderCallback(cb) { this.onRender = cb; }
-  setTimeUpdateCallback(cb) { this.onTimeUpdate = cb; }
-  setEffectChangeCallback(cb) { this.onEffectChange = cb; }
+  /**
+   * Lane under an x in percent of the play field
+   */
+  laneAtX(x) {
+    return Math.min(this.laneCount - 1, Math.floor(x / (100 / this.laneCount)));
+  }
+
+  /**
+   * Center of an item covering `lanes` lanes from `lane` on
+   */
+  itemX(lane, lanes = 1) {
+    return (lane + lanes / 2) * (100 / this.laneCount);
+  }
+
+  /**
+   * Move a falling item sideways (item types with their own fall)
+   */
+  moveItemToLane(item, lane) {
+    item.lane = lane;
+    item.x = this.itemX(lane, item.lanes);
+  }
+
+  addScore(points) {
+    this.score = Math.max(0, this.score + points);
+    this.emit("scoreChanged", { score: this.score, level: this.level });
+  }
+
+  // Setters: single-listener wrappers around on() with the old signatures.
+  // Calling a setter again replaces the listener it registered before.
+  setScoreChangeCallback(cb) { this.setLegacyListener("score", cb, { scoreChanged: ({ score, level }) => cb(score, level) }); }
+  setGameEndCallback(cb) { this.setLegacyListener("gameEnd", cb, { gameEnded: ({ score, level, reason }) => cb(score, level, reason) }); }
+  setBasketMoveCallback(cb) { this.setLegacyListener("basketMove", cb, { basketMoved: ({ lane, x }) => cb(lane, x) }); }
+  setItemSpawnCallback(cb) { this.setLegacyListener("itemSpawn", cb, { itemSpawned: ({ item }) => cb(item) }); }
+  setItemRemoveCallback(cb) { this.setLegacyListener("itemRemove", cb, { itemRemoved: ({ item }) => cb(item.id) }); }
+  setRenderCallback(cb) { this.setLegacyListener("render", cb, { render: ({ items }) => cb(items) }); }
+  setTimeUpdateCallback(cb) { this.setLegacyListener("timeUpdate", cb, { timeUpdated: ({ time }) => cb(time) }); }
+  setEffectChangeCallback(cb) { this.setLegacyListener("effectChange", cb, { effectsChanged: (effects) => cb(effects) }); }
+  setItemCatchCallback(cb) {
+    this.setLegacyListener("itemCatch", cb, {
+      itemCaught: ({ item }) => cb(item),
+      bombHit: ({ item }) => cb(item)
+    });
+  }
+  setBombHitCallback(cb) { this.setLegacyListener("bombHit", cb, { bombHit: ({ item, shielded }) => cb(item, shielded) }); }
+  setScorePopupCallback(cb) { this.setLegacyListener("scorePopup", cb, { scorePopup: (popup) => cb(popup) }); }
+  setSoundCueCallback(cb) { this.setLegacyListener("soundCue", cb, { soundCue: ({ cue }) => cb(cue) }); }
+  setLivesChangeCallback(cb) { this.setLegacyListener("livesChange", cb, { livesChanged: ({ lives }) => cb(lives) }); }
+  setPauseChangeCallback(cb) {
+    this.setLegacyListener("pauseChange", cb, {
+      gamePaused: () => cb(true),
+      gameResumed: () => cb(false)
+    });
+  }
+  setComboChangeCallback(cb) { this.setLegacyListener("comboChange", cb, { comboChanged: ({ combo, multiplier }) => cb(combo, multiplier) }); }
+
+  /**
+   * @param {string} key - setter name
+   * @param {Function|null} cb - null just removes the previous listener
+   * @param {Object} listeners - { event: listener }
+   */
+  setLegacyListener(key, cb, listeners) {
+    const previous = this.legacyListeners[key];
+    if (previous) Object.entries(previous).forEach(([event, listener]) => this.off(event, listener));
+    this.legacyListeners[key] = cb ? listeners : null;
+    if (cb) Object.entries(listeners).forEach(([event, listener]) => this.on(event, listener));
+  }
+
+  /**
+   * Run statistics (see runStats.js), plus the adaptive difficulty log
+   * (null when it was off)
+   */
+  getStats() {
+    if (!this.stats) return null;
+    return {
+      ...this.stats.getSummary(this.simTime),
+      difficulty: this.difficulty ? this.difficulty.getSummary() : null
+    };
+  }
 
   getGameState() {
     return {
       isActive: this.isGameActive,
+      isReplaying: this.isReplaying,
+      seed: this.seed,
+      step: this.stepCount,
+      timeLeft: this.timeLimit,
       score: this.score,
       level: this.level,
-      basketPosition: this.basketPosition,
+      mode: this.mode.id,
+      stage: this.stage.name,
+      lives: this.lives,
+      combo: this.combo,
+      multiplier: this.multiplier,
+      isPaused: this.isPaused,
+      pauseReason: this.pauseReason,
+      lanes: this.laneCount,
+      basketLane: this.basketLane,
+      basketX: this.basketX,
+      control: this.control,
+      difficulty: this.difficulty ? this.difficulty.getMultipliers() : null,
       effects: {
         shield: this.hasShield,
         magnet: this.isMagnetActive,
-        timeSlow: this.isTimeSlowActive
+        timeSlow: this.isTimeSlowActive,
+        frozen: this.isBasketFrozen,
+        stored: this.storedPowerUp
       }
     };
   }
 }
 
-window.GameEngine = GameEngine;
+// Browser global + CommonJS export (headless use from Node)
+globalThis.GameEngine = GameEngine;
+if (typeof module !== "undefined") module.exports = GameEngine;
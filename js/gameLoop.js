@@ -0,0 +1,42 @@
+/**
+ * gameLoop.js
+ * Browser frame driver for the headless GameEngine
+ *
+ * Measures real time between animation frames and hands it to a callback
+ * (normally gameEngine.update). The loop ends when the callback returns false.
+ */
+
+class GameLoop {
+  constructor(onFrame) {
+    this.onFrame = onFrame;
+    this.frameId = null;
+    this.lastFrameTime = null;
+  }
+
+  start() {
+    this.stop();
+    this.lastFrameTime = null;
+    this.frameId = requestAnimationFrame((t) => this.tick(t));
+  }
+
+  stop() {
+    if (this.frameId) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+  }
+
+  tick(timestamp) {
+    if (this.lastFrameTime === null) this.lastFrameTime = timestamp;
+    const frameDelta = timestamp - this.lastFrameTime;
+    this.lastFrameTime = timestamp;
+
+    if (this.onFrame(frameDelta) === false) {
+      this.frameId = null;
+      return;
+    }
+    this.frameId = requestAnimationFrame((t) => this.tick(t));
+  }
+}
+
+window.GameLoop = GameLoop;
@@ -0,0 +1,106 @@
+/**
+ * gameModes.js
+ * Game mode definitions (end conditions and bomb rules)
+ *
+ * - timed: countdown from the stage's timeLimit, game ends at 0
+ * - lives: number of lives (null = no lives); a bomb or a missed fruit costs one
+ * - bombs: whether bombs spawn at all
+ * - bombPenalty: points lost per bomb; 0 means a bomb ends the game
+ *   (or costs a life when the mode has lives)
+ * - scoring: overrides of DEFAULT_SCORING (combo, miss penalty, perfect catch)
+ */
+
+// Good catches build a combo; every `comboStep` catches raise the score
+// multiplier by 1 (up to maxMultiplier). A missed fruit or an unshielded
+// bomb resets it. comboStep 0 turns combos off.
+const DEFAULT_SCORING = {
+  comboStep: 5,
+  maxMultiplier: 4,
+  missPenalty: 0, // points lost per missed fruit
+  perfectBonus: 50, // extra points for a catch right on the basket line
+  perfectWindow: 3 // distance from the line that still counts (percent of the field)
+};
+
+const GAME_MODES = {
+  classic: {
+    id: "classic",
+    name: "Classic",
+    description: "60 seconds, a bomb ends the game",
+    timed: true,
+    lives: null,
+    bombs: true,
+    bombPenalty: 0
+  },
+  endless: {
+    id: "endless",
+    name: "Endless Survival",
+    description: "No timer, 3 lives: bombs and missed fruit cost a life",
+    timed: false,
+    lives: 3,
+    bombs: true,
+    bombPenalty: 0
+  },
+  bombPenalty: {
+    id: "bombPenalty",
+    name: "Bomb Penalty",
+    description: "60 seconds, bombs cost 500 points instead of ending the game",
+    timed: true,
+    lives: null,
+    bombs: true,
+    bombPenalty: 500,
+    scoring: { missPenalty: 50 }
+  },
+  zen: {
+    id: "zen",
+    name: "Zen",
+    description: "No bombs, no timer - a warm-up that ends when you stop",
+    timed: false,
+    lives: null,
+    bombs: false,
+    bombPenalty: 0,
+    scoring: { perfectBonus: 0 }
+  },
+  fitness: {
+    id: "fitness",
+    name: "Fitness",
+    description: "Workout program with play and rest intervals; moves are counted, bombs cost 100 points",
+    timed: false,
+    lives: null,
+    bombs: true,
+    bombPenalty: 100
+  }
+};
+
+class GameModes {
+  /**
+   * Mode definition by id (throws on unknown ids)
+   */
+  static get(id = "classic") {
+    const mode = GAME_MODES[id];
+    if (!mode) throw new Error(`Unknown game mode: ${id}`);
+    return mode;
+  }
+
+  static list() {
+    return Object.values(GAME_MODES);
+  }
+
+  /**
+   * Scoring rules of a mode (defaults merged with the mode's overrides)
+   */
+  static scoring(id) {
+    return { ...DEFAULT_SCORING, ...(GameModes.get(id).scoring || {}) };
+  }
+
+  /**
+   * localStorage key of the mode's high score
+   * (Classic keeps the original "highScore" key)
+   */
+  static highScoreKey(id) {
+    return id === "classic" ? "highScore" : `highScore_${id}`;
+  }
+}
+
+// Browser global + CommonJS export (headless use from Node)
+globalThis.GameModes = GameModes;
+if (typeof module !== "undefined") module.exports = GameModes;
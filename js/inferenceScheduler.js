@@ -0,0 +1,150 @@
+/**
+ * inferenceScheduler.js
+ * 포즈 추론 빈도 조절 + 시간 측정
+ *
+ * 화면은 매 프레임 그리되 포즈 추론(estimatePose + predict)은 targetFps까지만
+ * 돌리고, 이전 추론이 끝나기 전에는 새로 시작하지 않습니다.
+ * 프레임 간격(게임 렌더링 + 추론 전체)의 평균이 frameBudgetMs를 넘으면
+ * 추론 빈도를 minFps까지 줄이고(back-off), 여유가 생기면 다시 올립니다.
+ *
+ * 추론 단계별 시간과 실제 초당 예측 수는 getStats()로 알려 줍니다.
+ */
+
+// 빈도 조절 주기 (이 간격마다 한 번만 올리거나 내림)
+const ADJUST_EVERY_MS = 1000;
+// 내릴 때는 빨리(25%씩), 올릴 때는 천천히(1 fps씩)
+const BACKOFF_FACTOR = 0.75;
+const RECOVER_STEP_FPS = 1;
+// 평균이 예산의 이 비율 아래로 내려가야 다시 올림 (오르내림 반복 방지)
+const RECOVER_BELOW = 0.75;
+// 탭이 가려졌다 돌아온 경우처럼 지나치게 긴 프레임은 평균에서 제외
+const MAX_FRAME_SAMPLE_MS = 1000;
+// 초당 예측 수를 세는 구간, 단계별 평균 시간에 쓰는 최근 추론 수
+const RATE_WINDOW_MS = 2000;
+const TIMING_SAMPLES = 30;
+
+class InferenceScheduler {
+  /**
+   * @param {Object} options - { targetFps, minFps, frameBudgetMs, now }
+   */
+  constructor(options = {}) {
+    this.targetFps = options.targetFps || 30;
+    this.minFps = options.minFps || 5;
+    this.frameBudgetMs = options.frameBudgetMs || 50; // 평균 프레임 시간 예산 (50ms = 20fps)
+    this.now = options.now || (() => performance.now());
+    this.reset();
+  }
+
+  reset() {
+    this.fps = this.targetFps; // 지금 허용하는 추론 빈도 (back-off 반영)
+    this.frameMs = null; // 프레임 간격 지수 이동 평균
+    this.sinceAdjust = 0;
+    this.isBusy = false;
+    this.lastStart = null;
+    this.completions = []; // 최근 RATE_WINDOW_MS 동안 추론이 끝난 시각
+    this.timings = []; // 최근 추론들의 단계별 시간 { estimateMs, classifyMs, totalMs }
+    this.predictions = 0;
+    this.failures = 0;
+    this.resetAt = this.now();
+  }
+
+  setTargetFps(fps) {
+    this.targetFps = Math.max(this.minFps, fps);
+    this.fps = this.targetFps;
+    this.sinceAdjust = 0;
+  }
+
+  /**
+   * 애니메이션 프레임마다 호출
+   * @param {number} frameDelta - 직전 프레임과의 간격 (ms)
+   */
+  frame(frameDelta) {
+    if (!(frameDelta > 0) || frameDelta > MAX_FRAME_SAMPLE_MS) return;
+    this.frameMs = this.frameMs === null ? frameDelta : this.frameMs + (frameDelta - this.frameMs) * 0.1;
+
+    this.sinceAdjust += frameDelta;
+    if (this.sinceAdjust < ADJUST_EVERY_MS) return;
+    this.sinceAdjust = 0;
+
+    if (this.frameMs > this.frameBudgetMs) {
+      this.fps = Math.max(this.minFps, this.fps * BACKOFF_FACTOR);
+    } else if (this.frameMs < this.frameBudgetMs * RECOVER_BELOW) {
+      this.fps = Math.min(this.targetFps, this.fps + RECOVER_STEP_FPS);
+    }
+  }
+
+  /**
+   * 지금 추론을 시작해도 되는지 (이전 추론이 끝났고 간격이 지났는지)
+   */
+  isDue() {
+    if (this.isBusy) return false;
+    return this.lastStart === null || this.now() - this.lastStart >= 1000 / this.fps;
+  }
+
+  begin() {
+    this.isBusy = true;
+    this.lastStart = this.now();
+  }
+
+  /**
+   * 추론 완료
+   * @param {Object} timing - { estimateMs, classifyMs }
+   */
+  end(timing) {
+    const now = this.now();
+    this.isBusy = false;
+    this.predictions++;
+    this.completions.push(now);
+    while (this.completions[0] <= now - RATE_WINDOW_MS) this.completions.shift();
+    this.timings.push({ ...timing, totalMs: now - this.lastStart });
+    if (this.timings.length > TIMING_SAMPLES) this.timings.shift();
+  }
+
+  /**
+   * 추론 실패 (다음 간격에 다시 시도)
+   */
+  fail() {
+    this.isBusy = false;
+    this.failures++;
+  }
+
+  /**
+   * 최근 RATE_WINDOW_MS 동안 실제로 끝난 초당 예측 수
+   * (시작한 지 얼마 안 됐으면 지난 시간만큼으로 나눔)
+   */
+  getPredictionsPerSecond() {
+    const now = this.now();
+    const recent = this.completions.filter(time => time > now - RATE_WINDOW_MS);
+    const span = Math.min(RATE_WINDOW_MS, now - this.resetAt);
+    return span > 0 ? Math.round(recent.length / (span / 1000) * 10) / 10 : 0;
+  }
+
+  /**
+   * @returns {Object} { targetFps, fps, isBackedOff, predictionsPerSecond,
+   *   estimateMs, classifyMs, totalMs, frameMs, predictions, failures }
+   *   (시간은 최근 추론들의 평균, ms)
+   */
+  getStats() {
+    const average = (key) => {
+      const values = this.timings.map(timing => timing[key]).filter(value => typeof value === "number");
+      const sum = values.reduce((total, value) => total + value, 0);
+      return values.length ? Math.round(sum / values.length * 10) / 10 : 0;
+    };
+    return {
+      targetFps: this.targetFps,
+      fps: Math.round(this.fps * 10) / 10,
+      isBackedOff: this.fps < this.targetFps,
+      predictionsPerSecond: this.getPredictionsPerSecond(),
+      estimateMs: average("estimateMs"),
+      classifyMs: average("classifyMs"),
+      totalMs: average("totalMs"),
+      frameMs: this.frameMs === null ? 0 : Math.round(this.frameMs * 10) / 10,
+      predictions: this.predictions,
+      failures: this.failures
+    };
+  }
+}
+
+// 브라우저 전역 + CommonJS 내보내기 (Node에서 헤드리스로 사용)
+globalThis.InferenceScheduler = InferenceScheduler;
+if (typeof module !== "undefined") module.exports = InferenceScheduler;
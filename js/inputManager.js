@@ -0,0 +1,319 @@
+/**
+ * inputManager.js
+ * Routes basket commands from several input sources to the game
+ *
+ * Every source has the same shape:
+ *   { id, name, start(emit), stop() }
+ * and calls emit(value) with "Left" | "Center" | "Right", "lane:N",
+ * "powerup", "pause", or a number (basket x in percent) for analog sources.
+ *
+ * Sources can be enabled/disabled and prioritised independently. Input from
+ * a lower-priority source is ignored while a higher-priority source has been
+ * used within `holdMs`, so e.g. a key press overrides the camera for a moment.
+ */
+
+class InputManager {
+  constructor(options = {}) {
+    this.holdMs = options.holdMs || 1500;
+    this.now = options.now || (() => Date.now());
+    this.sources = new Map(); // id -> { source, enabled, priority, lastInputTime }
+    this.activeSourceId = null;
+    this.onAction = null; // (value, sourceId) => void
+    this.onActiveSourceChange = null; // (source) => void
+  }
+
+  /**
+   * Register a source (started immediately when enabled)
+   * @param {Object} source - { id, name, start(emit), stop() }
+   * @param {Object} options - { priority = 0, enabled = true }
+   */
+  register(source, options = {}) {
+    if (this.sources.has(source.id)) this.unregister(source.id);
+
+    this.sources.set(source.id, {
+      source,
+      enabled: false,
+      priority: options.priority || 0,
+      lastInputTime: -Infinity
+    });
+    if (options.enabled !== false) this.setEnabled(source.id, true);
+    return source;
+  }
+
+  unregister(id) {
+    const entry = this.sources.get(id);
+    if (!entry) return;
+    if (entry.enabled) entry.source.stop();
+    this.sources.delete(id);
+    if (this.activeSourceId === id) this.setActiveSource(null);
+  }
+
+  setEnabled(id, enabled) {
+    const entry = this.sources.get(id);
+    if (!entry || entry.enabled === enabled) return;
+
+    entry.enabled = enabled;
+    if (enabled) {
+      entry.source.start((value) => this.handleInput(id, value));
+    } else {
+      entry.source.stop();
+      if (this.activeSourceId === id) this.setActiveSource(null);
+    }
+  }
+
+  setPriority(id, priority) {
+    const entry = this.sources.get(id);
+    if (entry) entry.priority = priority;
+  }
+
+  /**
+   * Sources with their current settings (for the settings UI)
+   */
+  list() {
+    return Array.from(this.sources.values()).map(entry => ({
+      id: entry.source.id,
+      name: entry.source.name,
+      enabled: entry.enabled,
+      priority: entry.priority
+    }));
+  }
+
+  /**
+   * Accept or drop an input according to source priority
+   */
+  handleInput(id, value) {
+    const entry = this.sources.get(id);
+    if (!entry || !entry.enabled) return;
+
+    const now = this.now();
+    for (const other of this.sources.values()) {
+      if (other === entry || !other.enabled) continue;
+      if (other.priority > entry.priority && now - other.lastInputTime < this.holdMs) return;
+    }
+
+    entry.lastInputTime = now;
+    if (this.activeSourceId !== id) this.setActiveSource(id);
+    if (this.onAction) this.onAction(value, id);
+  }
+
+  setActiveSource(id) {
+    this.activeSourceId = id;
+    const entry = id ? this.sources.get(id) : null;
+    if (this.onActiveSourceChange) this.onActiveSourceChange(entry ? entry.source : null);
+  }
+
+  // Setters
+  setActionCallback(cb) { this.onAction = cb; }
+  setActiveSourceCallback(cb) { this.onActiveSourceChange = cb; }
+}
+
+/**
+ * Values pushed in by main.js: Teachable Machine labels, or an analog
+ * basket x from keypoints (registered again with id "analog")
+ */
+class PoseInputSource {
+  constructor(options = {}) {
+    this.id = options.id || "pose";
+    this.name = options.name || "Camera Pose";
+    this.emit = null;
+  }
+
+  start(emit) { this.emit = emit; }
+  stop() { this.emit = null; }
+
+  push(value) {
+    if (this.emit && value !== "" && value !== null && value !== undefined) this.emit(value);
+  }
+}
+
+/**
+ * Arrow keys: Left / Down (Center) / Right, Up uses a stored power-up,
+ * number keys 1-9 pick a lane directly, Esc / P pause
+ */
+class KeyboardInputSource {
+  constructor(target = window) {
+    this.id = "keyboard";
+    this.name = "Keyboard";
+    this.target = target;
+    this.keyMap = {
+      ArrowLeft: "Left",
+      ArrowDown: "Center",
+      ArrowRight: "Right",
+      ArrowUp: "powerup",
+      Escape: "pause",
+      p: "pause",
+      P: "pause"
+    };
+    this.listener = null;
+  }
+
+  start(emit) {
+    this.listener = (e) => {
+      if (KeyboardInputSource.isTyping(e.target)) return; // player name, label mapping, ...
+      const pose = this.keyMap[e.key] || (/^[1-9]$/.test(e.key) ? `lane:${e.key - 1}` : null);
+      // Holding the power-up or pause key must not fire it again
+      if (pose && !(e.repeat && (pose === "powerup" || pose === "pause"))) emit(pose);
+    };
+    this.target.addEventListener("keydown", this.listener);
+  }
+
+  /**
+   * Keys typed into a form field belong to the field, not the game
+   */
+  static isTyping(element) {
+    if (!element || !element.tagName) return false;
+    return ["INPUT", "TEXTAREA", "SELECT"].includes(element.tagName) || !!element.isContentEditable;
+  }
+
+  stop() {
+    if (this.listener) this.target.removeEventListener("keydown", this.listener);
+    this.listener = null;
+  }
+}
+
+/**
+ * On-screen buttons with a data-pose attribute
+ */
+class TouchInputSource {
+  constructor(container) {
+    this.id = "touch";
+    this.name = "Touch Buttons";
+    this.container = container;
+    this.listener = null;
+  }
+
+  start(emit) {
+    this.listener = (e) => {
+      const button = e.target.closest("[data-pose]");
+      if (!button) return;
+      e.preventDefault();
+      emit(button.dataset.pose);
+    };
+    this.container.addEventListener("pointerdown", this.listener);
+    this.container.classList.add("active");
+  }
+
+  stop() {
+    if (this.listener) this.container.removeEventListener("pointerdown", this.listener);
+    this.listener = null;
+    this.container.classList.remove("active");
+  }
+}
+
+/**
+ * Gamepad API: D-pad or left stick (standard mapping),
+ * A uses a stored power-up, Start pauses
+ */
+class GamepadInputSource {
+  constructor() {
+    this.id = "gamepad";
+    this.name = "Gamepad";
+    this.frameId = null;
+    this.lastPose = null;
+    this.deadZone = 0.5;
+    this.buttonMap = { 0: "powerup", 9: "pause" }; // standard mapping: A, Start
+    this.heldActions = new Set();
+  }
+
+  start(emit) {
+    const poll = () => {
+      const pose = this.readPose();
+      if (pose && pose !== this.lastPose) emit(pose);
+      this.lastPose = pose;
+      this.readPressedActions().forEach(action => emit(action));
+      this.frameId = requestAnimationFrame(poll);
+    };
+    this.frameId = requestAnimationFrame(poll);
+  }
+
+  stop() {
+    if (this.frameId) cancelAnimationFrame(this.frameId);
+    this.frameId = null;
+    this.lastPose = null;
+    this.heldActions.clear();
+  }
+
+  getPads() {
+    return navigator.getGamepads ? Array.from(navigator.getGamepads()).filter(pad => pad) : [];
+  }
+
+  readPose() {
+    for (const pad of this.getPads()) {
+      const pressed = (i) => pad.buttons[i] && pad.buttons[i].pressed;
+      const axis = pad.axes[0] || 0;
+      if (pressed(14) || axis < -this.deadZone) return "Left";
+      if (pressed(15) || axis > this.deadZone) return "Right";
+      if (pressed(13)) return "Center";
+    }
+    return null;
+  }
+
+  /**
+   * Button actions that went down since the last poll
+   * (holding a button must not fire it again, like the keyboard)
+   */
+  readPressedActions() {
+    const held = new Set();
+    this.getPads().forEach(pad => {
+      Object.keys(this.buttonMap).forEach(i => {
+        if (pad.buttons[i] && pad.buttons[i].pressed) held.add(this.buttonMap[i]);
+      });
+    });
+    const pressed = [...held].filter(action => !this.heldActions.has(action));
+    this.heldActions = held;
+    return pressed;
+  }
+}
+
+/**
+ * Plays a fixed list of poses, for play-testing and automated runs
+ * script: [{ pose: "Left", hold: 1000 }, ...] (hold = ms before the next entry)
+ */
+class ScriptedInputSource {
+  constructor(script = [], options = {}) {
+    this.id = "scripted";
+    this.name = options.name || "Scripted";
+    this.script = script;
+    this.loop = options.loop !== false;
+    this.timer = null;
+  }
+
+  start(emit) {
+    let index = 0;
+    const next = () => {
+      if (index >= this.script.length) {
+        if (!this.loop || this.script.length === 0) return;
+        index = 0;
+      }
+      const { pose, hold = 1000 } = this.script[index++];
+      emit(pose);
+      this.timer = setTimeout(next, hold);
+    };
+    next();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+// Browser globals + CommonJS export (InputManager/Scripted work headless)
+Object.assign(globalThis, {
+  InputManager,
+  PoseInputSource,
+  KeyboardInputSource,
+  TouchInputSource,
+  GamepadInputSource,
+  ScriptedInputSource
+});
+if (typeof module !== "undefined") {
+  module.exports = {
+    InputManager,
+    PoseInputSource,
+    KeyboardInputSource,
+    TouchInputSource,
+    GamepadInputSource,
+    ScriptedInputSource
+  };
+}
@@ -0,0 +1,207 @@
+/**
+ * itemTypes.js
+ * Registry of falling item types
+ *
+ * Every type declares its look, spawn weight, fall behaviour and catch
+ * effect, so adding an item doesn't touch the engine:
+ *
+ * ItemTypes.register("Apple", {
+ *   icon: "🍎",               // emoji sprite (a sprite sheet frame with the type's name wins)
+ *   kind: "fruit",            // "fruit" | "powerUp" | "bomb" | "hazard"
+ *   points: 100,              // default points (stage packs can override)
+ *   speedBonus: 0,            // default extra fall speed (stage packs can override)
+ *   weight: 60,               // spawn weight in stage levels that don't list the type
+ *   magnetic: true,           // the Magnet pulls it into the basket
+ *   lanes: 1,                 // lanes the item covers
+ *   onSpawn(engine, item) {}, // optional: per-item state
+ *   fall(engine, item, distance) {}, // optional: replaces the straight fall
+ *   onCatch(engine, item) {}  // optional: what catching it does
+ * });
+ *
+ * The kind sets the shared rules:
+ * - fruit: good catch (combo, catch rate); a miss breaks the combo
+ * - powerUp: good catch, nothing happens when it falls past
+ * - bomb: blocked by the shield, otherwise a game over / penalty / lost
+ *   life depending on the mode (onCatch is not used)
+ * - hazard: only does what its onCatch does, and doesn't touch the combo
+ * Modes without bombs (Zen) spawn neither bombs nor hazards.
+ *
+ * Hooks run inside the simulation: any randomness must come from
+ * engine.rng so replays play out the same.
+ */
+
+const ITEM_KINDS = ["fruit", "powerUp", "bomb", "hazard"];
+// A zig-zag fruit hops one lane each time it falls this far (percent of the field)
+const ZIGZAG_STEP_Y = 20;
+// How long a Freeze hazard locks the basket (ms of game time)
+const FREEZE_MS = 1500;
+
+const ITEM_TYPES = {};
+
+class ItemTypes {
+  /**
+   * Add (or replace) an item type
+   * @param {string} type - name used in stage packs, stats and sprite sheets
+   * @param {Object} def - see the file comment
+   */
+  static register(type, def) {
+    if (typeof type !== "string" || type === "") throw new Error("Item type needs a name");
+    if (!ITEM_KINDS.includes(def.kind)) throw new Error(`Item type ${type} has an unknown kind: ${def.kind}`);
+    ITEM_TYPES[type] = {
+      icon: "",
+      points: 0,
+      speedBonus: 0,
+      weight: 0,
+      magnetic: false,
+      lanes: 1,
+      ...def,
+      type
+    };
+    return ITEM_TYPES[type];
+  }
+
+  /**
+   * Type definition by name (throws on unknown types)
+   */
+  static get(type) {
+    const def = ITEM_TYPES[type];
+    if (!def) throw new Error(`Unknown item type: ${type}`);
+    return def;
+  }
+
+  static has(type) {
+    return Object.prototype.hasOwnProperty.call(ITEM_TYPES, type);
+  }
+
+  static names() {
+    return Object.keys(ITEM_TYPES);
+  }
+
+  static list() {
+    return Object.values(ITEM_TYPES);
+  }
+
+  /**
+   * Names of the types of one kind, e.g. ofKind("fruit")
+   */
+  static ofKind(kind) {
+    return ItemTypes.list().filter(def => def.kind === kind).map(def => def.type);
+  }
+
+  /**
+   * { type: icon } for the renderers
+   */
+  static icons() {
+    const icons = {};
+    ItemTypes.list().forEach(def => { icons[def.type] = def.icon; });
+    return icons;
+  }
+}
+
+// Built-in types (the original six, then the ones added with the registry)
+
+ItemTypes.register("Apple", {
+  icon: "🍎",
+  kind: "fruit",
+  points: 100,
+  weight: 60,
+  magnetic: true,
+  onCatch: (engine) => engine.emitSound("coin")
+});
+
+ItemTypes.register("Banana", {
+  icon: "🍌",
+  kind: "fruit",
+  points: 200,
+  speedBonus: 12,
+  weight: 10,
+  magnetic: true,
+  onCatch: (engine) => engine.emitSound("banana")
+});
+
+ItemTypes.register("Bomb", {
+  icon: "💣",
+  kind: "bomb",
+  weight: 15
+});
+
+ItemTypes.register("Shield", {
+  icon: "🛡️",
+  kind: "powerUp",
+  weight: 5,
+  magnetic: true,
+  onCatch: (engine) => engine.pickUpShield()
+});
+
+ItemTypes.register("Magnet", {
+  icon: "🧲",
+  kind: "powerUp",
+  weight: 5,
+  magnetic: true,
+  onCatch: (engine, item) => engine.pickUpPowerUp(item.type)
+});
+
+ItemTypes.register("Time", {
+  icon: "⏳",
+  kind: "powerUp",
+  weight: 5,
+  magnetic: true,
+  onCatch: (engine, item) => engine.pickUpPowerUp(item.type)
+});
+
+// Rare and fast, worth ten apples
+ItemTypes.register("Golden", {
+  icon: "🌟",
+  kind: "fruit",
+  points: 1000,
+  speedBonus: 10,
+  weight: 2,
+  magnetic: true,
+  onCatch: (engine) => engine.emitSound("golden")
+});
+
+// Hops one lane sideways every ZIGZAG_STEP_Y, bouncing off the edges.
+// It stops hopping before the catch window so the last lane is readable.
+ItemTypes.register("ZigZag", {
+  icon: "🍇",
+  kind: "fruit",
+  points: 300,
+  weight: 6,
+  magnetic: true,
+  onSpawn: (engine, item) => {
+    item.direction = engine.rng.next() < 0.5 ? -1 : 1;
+  },
+  fall: (engine, item, distance) => {
+    const before = Math.floor(item.y / ZIGZAG_STEP_Y);
+    item.y += distance;
+    if (Math.floor(item.y / ZIGZAG_STEP_Y) === before || item.y >= 80) return;
+
+    if (item.lane + item.direction < 0 || item.lane + item.direction >= engine.laneCount) {
+      item.direction = -item.direction;
+    }
+    engine.moveItemToLane(item, item.lane + item.direction);
+  },
+  onCatch: (engine) => engine.emitSound("coin")
+});
+
+// Two bombs side by side: in the way of the basket in either lane
+ItemTypes.register("WideBomb", {
+  icon: "💣💣",
+  kind: "bomb",
+  weight: 5,
+  lanes: 2
+});
+
+ItemTypes.register("Freeze", {
+  icon: "🧊",
+  kind: "hazard",
+  weight: 5,
+  onCatch: (engine) => engine.freezeBasket(FREEZE_MS)
+});
+
+ItemTypes.KINDS = ITEM_KINDS;
+ItemTypes.FREEZE_MS = FREEZE_MS;
+
+// Browser global + CommonJS export (headless use from Node)
+globalThis.ItemTypes = ItemTypes;
+if (typeof module !== "undefined") module.exports = ItemTypes;
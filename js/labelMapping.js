@@ -0,0 +1,163 @@
+/**
+ * labelMapping.js
+ * 모델 클래스(metadata.json labels) → 게임 동작 연결
+ *
+ * 동작 종류:
+ * - "lane:N"  : N번 레인으로 이동 (0 = 가장 왼쪽)
+ * - "idle"    : 아무것도 하지 않음 (기본 자세, 배경 클래스 등)
+ * - "powerup" : 저장해 둔 파워업(Magnet/Time) 사용
+ * - "pause"   : 일시정지 / 재개
+ *
+ * 기본 연결은 클래스 이름으로 추측하고(Left/왼쪽, Center/가운데, Right/오른쪽,
+ * "Lane 2"/"2" 등), 사용자가 바꾼 연결은 라벨 목록 + 레인 수별로 저장합니다.
+ */
+
+const MAPPING_IDLE = "idle";
+const MAPPING_POWERUP = "powerup";
+const MAPPING_PAUSE = "pause";
+
+// 클래스 이름 → 동작 추측 규칙 (대소문자 무시)
+const LABEL_GUESSES = [
+  { pattern: /^(left|왼쪽|왼)$/i, lane: () => 0 },
+  { pattern: /^(right|오른쪽|오른)$/i, lane: (lanes) => lanes - 1 },
+  { pattern: /^(center|centre|middle|가운데|중앙|중간)$/i, lane: (lanes) => Math.floor(lanes / 2) },
+  { pattern: /^(power[\s_-]?up|item|파워업|아이템)$/i, action: MAPPING_POWERUP },
+  { pattern: /^(pause|stop|일시정지|멈춤)$/i, action: MAPPING_PAUSE }
+];
+
+class LabelMapping {
+  /**
+   * @param {Array<string>} labels - 모델 클래스 이름
+   * @param {Object} options - { lanes = 3, storage = localStorage }
+   */
+  constructor(labels, options = {}) {
+    this.labels = labels.slice();
+    this.lanes = options.lanes || 3;
+    this.storage = options.storage || localStorage;
+    this.bindings = {}; // label -> action
+    this.load();
+  }
+
+  /**
+   * 클래스 이름으로 기본 동작 추측
+   */
+  static guessAction(label, lanes) {
+    const name = String(label).trim();
+    for (const guess of LABEL_GUESSES) {
+      if (!guess.pattern.test(name)) continue;
+      return guess.action || `lane:${guess.lane(lanes)}`;
+    }
+    // "Lane 2", "lane_2", "2" → 1부터 세는 레인 번호
+    const match = /^(?:lane|레인)?[\s_-]*(\d+)$/i.exec(name);
+    if (match) {
+      const lane = Number(match[1]) - 1;
+      if (lane >= 0 && lane < lanes) return `lane:${lane}`;
+    }
+    return MAPPING_IDLE;
+  }
+
+  /**
+   * 선택 가능한 동작 목록 (설정 UI용)
+   * @returns {Array} [{ action, name }]
+   */
+  getActions() {
+    const actions = [{ action: MAPPING_IDLE, name: "Idle" }];
+    for (let i = 0; i < this.lanes; i++) {
+      actions.push({ action: `lane:${i}`, name: `Lane ${i + 1}` });
+    }
+    actions.push({ action: MAPPING_POWERUP, name: "Use Power-up" });
+    actions.push({ action: MAPPING_PAUSE, name: "Pause" });
+    return actions;
+  }
+
+  isValidAction(action) {
+    return this.getActions().some(a => a.action === action);
+  }
+
+  /**
+   * 클래스 하나의 동작 변경 (바로 저장)
+   */
+  bind(label, action) {
+    if (!this.labels.includes(label)) throw new Error(`Unknown model class: ${label}`);
+    if (!this.isValidAction(action)) throw new Error(`Unknown action: ${action}`);
+    this.bindings[label] = action;
+    this.save();
+  }
+
+  /**
+   * 안정화된 클래스 이름 → 동작 ("" 이나 모르는 클래스는 null)
+   */
+  resolve(label) {
+    if (!label) return null;
+    return this.bindings[label] || null;
+  }
+
+  /**
+   * 이 동작에 연결된 클래스가 있는지
+   */
+  isBound(action) {
+    return Object.values(this.bindings).includes(action);
+  }
+
+  /**
+   * 레인 수 변경 (해당 레인 수의 저장된 연결이나 기본 연결을 불러옴)
+   */
+  setLanes(lanes) {
+    this.lanes = lanes;
+    this.load();
+  }
+
+  /**
+   * 게임에 필요한 클래스가 모델에 없는 경우 경고
+   * @returns {Array<string>} 경고 메시지
+   */
+  validate() {
+    const warnings = [];
+    if (this.labels.length === 0) {
+      warnings.push("The model has no classes (check labels in metadata.json).");
+      return warnings;
+    }
+
+    for (let i = 0; i < this.lanes; i++) {
+      if (!this.isBound(`lane:${i}`)) {
+        warnings.push(`No model class moves the basket to lane ${i + 1}.`);
+      }
+    }
+    return warnings;
+  }
+
+  storageKey() {
+    return `labelMapping:${this.lanes}:${this.labels.join("|")}`;
+  }
+
+  load() {
+    const bindings = {};
+    this.labels.forEach(label => { bindings[label] = LabelMapping.guessAction(label, this.lanes); });
+
+    try {
+      const saved = JSON.parse(this.storage.getItem(this.storageKey()) || "{}");
+      for (const [label, action] of Object.entries(saved)) {
+        if (this.labels.includes(label) && this.isValidAction(action)) bindings[label] = action;
+      }
+    } catch (e) {
+      console.warn("Invalid label mapping data:", e);
+    }
+    this.bindings = bindings;
+  }
+
+  save() {
+    this.storage.setItem(this.storageKey(), JSON.stringify(this.bindings));
+  }
+
+  /**
+   * 저장된 연결을 지우고 이름 기반 기본값으로 되돌림
+   */
+  reset() {
+    this.storage.removeItem(this.storageKey());
+    this.load();
+  }
+}
+
+// 브라우저 전역 + CommonJS 내보내기 (Node에서 헤드리스로 사용)
+globalThis.LabelMapping = LabelMapping;
+if (typeof module !== "undefined") module.exports = LabelMapping;
@@ -0,0 +1,178 @@
+/**
+ * leaderboard.js
+ * Named top-N local leaderboard, one table per mode + stage
+ *
+ * Entry shape:
+ * {
+ *   id, name, score, level, date (ISO), durationMs,
+ *   mode, stage, lanes, control, seed, daily, adaptive, reason
+ * }
+ *
+ * Exported files can be imported on another machine; entries are merged
+ * by id, so importing the same file twice doesn't duplicate scores.
+ */
+
+const LEADERBOARD_KEY = "leaderboard";
+const LEADERBOARD_VERSION = 1;
+
+class Leaderboard {
+  constructor(options = {}) {
+    this.storage = options.storage || localStorage;
+    this.size = options.size || 10; // entries kept per table
+  }
+
+  getAll() {
+    try {
+      const entries = JSON.parse(this.storage.getItem(LEADERBOARD_KEY) || "[]");
+      return Array.isArray(entries) ? entries : [];
+    } catch (e) {
+      console.warn("Invalid leaderboard data:", e);
+      return [];
+    }
+  }
+
+  saveAll(entries) {
+    this.storage.setItem(LEADERBOARD_KEY, JSON.stringify(entries));
+  }
+
+  /**
+   * Sorted entries, optionally filtered (top `size` per mode + stage)
+   * @param {Object} filter - { mode, stage } (omit a field for all)
+   */
+  getTable(filter = {}) {
+    return this.getAll()
+      .filter(entry => (!filter.mode || entry.mode === filter.mode) && (!filter.stage || entry.stage === filter.stage))
+      .sort(Leaderboard.compare);
+  }
+
+  /**
+   * Stage names that have at least one entry (for the filter UI)
+   */
+  getStages() {
+    return Array.from(new Set(this.getAll().map(entry => entry.stage))).sort();
+  }
+
+  getBest(mode, stage) {
+    const [top] = this.getTable({ mode, stage });
+    return top ? top.score : 0;
+  }
+
+  /**
+   * Would this score make it into its table?
+   */
+  qualifies(mode, stage, score) {
+    if (score <= 0) return false;
+    const table = this.getTable({ mode, stage });
+    return table.length < this.size || score > table[table.length - 1].score;
+  }
+
+  /**
+   * Add a finished run
+   * @returns {Object} { entry, rank } (rank is 1-based, null if it didn't make the table)
+   */
+  add(run) {
+    const entry = Leaderboard.normalize({ ...run, date: run.date || new Date().toISOString() });
+    this.saveAll(this.prune([...this.getAll(), entry]));
+
+    const index = this.getTable({ mode: entry.mode, stage: entry.stage }).findIndex(e => e.id === entry.id);
+    return { entry, rank: index === -1 ? null : index + 1 };
+  }
+
+  remove(id) {
+    this.saveAll(this.getAll().filter(entry => entry.id !== id));
+  }
+
+  clear() {
+    this.storage.removeItem(LEADERBOARD_KEY);
+  }
+
+  /**
+   * JSON-friendly export of every table
+   */
+  export() {
+    return {
+      version: LEADERBOARD_VERSION,
+      exportedAt: new Date().toISOString(),
+      entries: this.getAll()
+    };
+  }
+
+  /**
+   * Merge an exported leaderboard (invalid entries are skipped)
+   * @returns {number} number of new entries that made it into a table
+   */
+  import(data) {
+    if (!data || data.version !== LEADERBOARD_VERSION || !Array.isArray(data.entries)) {
+      throw new Error("Not a leaderboard export");
+    }
+
+    const entries = this.getAll();
+    const known = new Set(entries.map(entry => entry.id));
+    const added = [];
+    data.entries.forEach(raw => {
+      if (!Leaderboard.isValidEntry(raw)) return;
+      const entry = Leaderboard.normalize(raw);
+      if (known.has(entry.id)) return;
+      known.add(entry.id);
+      added.push(entry);
+    });
+
+    const kept = this.prune([...entries, ...added]);
+    this.saveAll(kept);
+    const keptIds = new Set(kept.map(entry => entry.id));
+    return added.filter(entry => keptIds.has(entry.id)).length;
+  }
+
+  /**
+   * Keep the best `size` entries of every mode + stage table
+   */
+  prune(entries) {
+    const tables = {};
+    entries.forEach(entry => {
+      const key = `${entry.mode}|${entry.stage}`;
+      (tables[key] = tables[key] || []).push(entry);
+    });
+    return Object.values(tables).flatMap(table => table.sort(Leaderboard.compare).slice(0, this.size));
+  }
+
+  /**
+   * Higher score first, then higher level, then the earlier run
+   */
+  static compare(a, b) {
+    return b.score - a.score || b.level - a.level || a.date.localeCompare(b.date);
+  }
+
+  static isValidEntry(entry) {
+    return !!entry &&
+      typeof entry.name === "string" && entry.name.trim() !== "" &&
+      Number.isFinite(entry.score) &&
+      Number.isFinite(entry.level) &&
+      typeof entry.mode === "string" &&
+      typeof entry.stage === "string" &&
+      typeof entry.date === "string" && !isNaN(Date.parse(entry.date));
+  }
+
+  static normalize(entry) {
+    const name = String(entry.name).trim().slice(0, 20) || "Player";
+    return {
+      id: entry.id || `${entry.date}|${name}|${entry.score}|${entry.seed}`,
+      name,
+      score: entry.score,
+      level: entry.level,
+      date: entry.date,
+      durationMs: entry.durationMs || 0,
+      mode: entry.mode,
+      stage: entry.stage,
+      lanes: entry.lanes || 3,
+      control: entry.control || "lanes",
+      seed: entry.seed !== undefined ? entry.seed : null,
+      daily: !!entry.daily,
+      adaptive: !!entry.adaptive,
+      reason: entry.reason || null
+    };
+  }
+}
+
+// Browser global + CommonJS export (headless use from Node)
+globalThis.Leaderboard = Leaderboard;
+if (typeof module !== "undefined") module.exports = Leaderboard;
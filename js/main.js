@@ -5,22 +5,106 @@
 
 let poseEngine;
 let gameEngine;
+let gameLoop;
+let replayPlayer;
+let replayLoop;
+let lastReplay = null;
 let stabilizer;
+let inputManager;
+let poseSource;
+let analogSource;
+let analogControl;
+let calibration = null;
+let trainer = null;
+let trainingCountEls = {};
+let labelMapping = null;
+let lastMappedAction = null;
+let renderer; // DomRenderer or CanvasRenderer (renderer.js)
+let spriteSheet = null; // loaded sprite sheet for the canvas renderer
+let fitnessTracker = null; // FitnessTracker (moves, active time, intensity)
+let workout = null; // WorkoutSession of the running Fitness game
+let isRestartingCamera = false; // restartCamera() in progress (device changes can fire in bursts)
+const playerProfiles = new PlayerProfiles();
+const recentModels = new RecentModels();
+const leaderboard = new Leaderboard();
+let pendingRun = null; // finished run waiting for a name on the leaderboard
+const DEFAULT_MODEL_URL = "./my_model/";
+let modelSource = DEFAULT_MODEL_URL; // folder URL or { model, weights, metadata } files
 let ctx;
 let labelContainer;
 
+// Fruit types for the catch rate on the results screen (see itemTypes.js)
+const FRUIT_STAT_TYPES = ItemTypes.ofKind("fruit");
+const ITEM_ICONS = ItemTypes.icons();
+// Countdown before a paused game continues (manual resume or the player coming back)
+const RESUME_COUNTDOWN_MS = 3000;
+
 // DOM Elements
 const gameArea = document.getElementById("game-area");
-const basket = document.getElementById("basket");
 const scoreBoard = document.getElementById("score-board");
 const timerBoard = document.getElementById("timer-board");
 const levelBoard = document.getElementById("level-board");
 const highscoreBoard = document.getElementById("highscore-board");
+const livesBoard = document.getElementById("lives-board");
+const comboBoard = document.getElementById("combo-board");
+const fitnessBoard = document.getElementById("fitness-board");
+const modeSelect = document.getElementById("modeSelect");
+const workoutSelect = document.getElementById("workoutSelect");
+const laneSelect = document.getElementById("laneSelect");
 const gameStartBtn = document.getElementById("gameStartBtn");
+const pauseBtn = document.getElementById("pauseBtn");
+const rendererSelect = document.getElementById("rendererSelect");
+
+// Game Modes (each mode keeps its own high score)
+GameModes.list().forEach(mode => {
+  const option = document.createElement("option");
+  option.value = mode.id;
+  option.innerText = mode.name;
+  option.title = mode.description;
+  modeSelect.appendChild(option);
+});
+modeSelect.addEventListener("change", () => applyModeHud(modeSelect.value));
+
+// Workout Programs (Fitness mode only)
+WorkoutSession.listPrograms().forEach(program => {
+  const option = document.createElement("option");
+  option.value = program.id;
+  option.innerText = program.name;
+  workoutSelect.appendChild(option);
+});
+workoutSelect.value = localStorage.getItem("workoutProgram") || "warmUp";
+applyModeHud(modeSelect.value);
+
+// Stage Packs (stages/index.json lists the packs next to the built-in Classic)
+const stageCache = {};
+loadStageList();
+
+// Lanes (model classes are mapped onto them once the model is loaded)
+laneSelect.value = localStorage.getItem("laneCount") || "3";
+buildTouchControls(getLaneCount());
+
+// Renderer (Canvas by default, DOM as a fallback) and sprite sheets from sprites/index.json
+rendererSelect.value = localStorage.getItem("renderer") || (CanvasRenderer.isSupported() ? "canvas" : "dom");
+setRenderer(rendererSelect.value);
+loadSpriteList();
 
-// Load High Score
-const savedScore = localStorage.getItem("highScore") || 0;
-if (highscoreBoard) highscoreBoard.innerText = `Best: ${savedScore}`;
+// Adaptive Difficulty (remembered between sessions)
+document.getElementById("adaptiveDifficulty").checked = localStorage.getItem("adaptiveDifficulty") === "true";
+
+// Sound Settings (volumes and mute are saved by the SoundManager)
+setupSoundSettings();
+
+// Model Picker (recently used local models live in IndexedDB)
+refreshModelList(localStorage.getItem("selectedModel") || "");
+setupModelDrop();
+
+// Camera Settings (device, resolution, mirroring and pose inference are remembered)
+setupCameraSettings();
+
+// Input Sources (the game is playable without a camera)
+setupInputs();
+setupStabilizerSelect();
+applyPlayerProfile(playerProfiles.getCurrent());
 
 /**
  * Initialize Camera & Pose Engine
@@ -32,99 +116,435 @@ async function init() {
 
   try {
     // 1. PoseEngine
-    poseEngine = new PoseEngine("./my_model/");
-    const { maxPredictions, webcam } = await poseEngine.init({
-      size: 200,
-      flip: true
-    });
+    poseEngine = new PoseEngine(modelSource);
+    poseEngine.setInferenceRate(Number(document.getElementById("inferenceRate").value));
+    await poseEngine.init(getCameraOptions());
 
     // 2. Stabilizer
     stabilizer = new PredictionStabilizer({
       threshold: 0.8, // Higher threshold for stability
-      smoothingFrames: 5 // More frames for smoother control
+      smoothingFrames: 5, // More frames for smoother control
+      strategy: document.getElementById("stabilizerSelect").value
     });
 
-    // 3. GameEngine
-    gameEngine = new GameEngine();
-    setupGameCallbacks();
-
-    // 4. Canvas
-    const canvas = document.getElementById("canvas");
-    canvas.width = 200;
-    canvas.height = 200;
-    ctx = canvas.getContext("2d");
-
-    // 5. Labels
-    labelContainer = document.getElementById("label-container");
-    labelContainer.innerHTML = "";
-    for (let i = 0; i < maxPredictions; i++) {
-      labelContainer.appendChild(document.createElement("div"));
-    }
+    // 3. Canvas (sized to the camera resolution)
+    ctx = document.getElementById("canvas").getContext("2d");
+    // Not awaited: the camera list can fill in while the labels are set up
+    handleCameraStarted().catch(error => {
+      console.error("Camera setup failed:", error);
+      showCameraError(error);
+    });
+
+    // 4. Labels & Label Mapping (model classes -> game actions)
+    setupModelLabels();
 
-    // 6. Start
+    // 5. Start
     poseEngine.setPredictionCallback(handlePrediction);
     poseEngine.setDrawCallback(drawPose);
+    poseEngine.setPresenceCallback(handlePresenceChange);
+    poseEngine.setCameraLostCallback(handleCameraLost);
+    poseEngine.setWorkerErrorCallback(handleWorkerError);
     poseEngine.start();
+    if (document.getElementById("poseWorker").checked) setPoseWorker(true);
 
     startBtn.style.display = "none";
-    gameStartBtn.disabled = false;
     document.getElementById("stopBtn").disabled = false;
+    document.getElementById("restartCameraBtn").disabled = false;
+    document.getElementById("playerCalibrationBtn").disabled = false;
+    document.getElementById("trainingBtn").disabled = false;
+
+    // 6. Player Calibration (saved thresholds apply right away)
+    applyPlayerProfile(playerProfiles.getCurrent());
+    openCalibration();
 
   } catch (error) {
     console.error("Init failed:", error);
-    alert("Camera initialization failed: " + error);
-    startBtn.disabled = false;
+    // Camera errors carry a reason (see cameraDevices.js), anything else came from the model
+    const { message, recoverable } = error.reason
+      ? showCameraError(error)
+      : { message: "Model load failed: " + error.message, recoverable: true };
+    alert(message + "\nYou can still play with the keyboard, touch buttons or a gamepad.");
+    startBtn.disabled = !recoverable;
     startBtn.innerText = "Camera On";
   }
 }
 
 /**
- * Setup Game Callbacks
+ * Camera picker: device, resolution and mirroring. The choice is remembered
+ * even while that camera is unplugged (the default camera is used instead).
+ */
+function setupCameraSettings() {
+  const resolutionSelect = document.getElementById("cameraResolution");
+  CameraDevices.RESOLUTIONS.forEach(size => {
+    const option = document.createElement("option");
+    option.value = size;
+    option.innerText = `${size} px`;
+    resolutionSelect.appendChild(option);
+  });
+  resolutionSelect.value = CameraDevices.resolution(localStorage.getItem("cameraResolution"));
+  document.getElementById("cameraFlip").checked = localStorage.getItem("cameraFlip") !== "false";
+  document.getElementById("inferenceRate").value = localStorage.getItem("inferenceRate") || "30";
+  const workerToggle = document.getElementById("poseWorker");
+  workerToggle.disabled = !PoseEngine.supportsWorker();
+  workerToggle.checked = !workerToggle.disabled && localStorage.getItem("poseWorker") === "true";
+
+  refreshCameraList(localStorage.getItem("cameraDeviceId") || "");
+  const mediaDevices = CameraDevices.mediaDevices();
+  if (mediaDevices && mediaDevices.addEventListener) mediaDevices.addEventListener("devicechange", handleDeviceChange);
+  if (!CameraDevices.isSupported()) showCameraError({ reason: "unsupported" });
+}
+
+/**
+ * Fill the camera select (names show up once camera access is granted)
+ * @returns {Object[]} the cameras ({ deviceId, label })
+ */
+async function refreshCameraList(selectedId) {
+  const select = document.getElementById("cameraSelect");
+  let devices = [];
+  try {
+    devices = await CameraDevices.list();
+  } catch (error) {
+    console.warn("Camera list unavailable:", error);
+  }
+
+  select.innerHTML = "";
+  const defaultOption = document.createElement("option");
+  defaultOption.value = "";
+  defaultOption.innerText = "Default camera";
+  select.appendChild(defaultOption);
+  devices.forEach(device => {
+    const option = document.createElement("option");
+    option.value = device.deviceId;
+    option.innerText = device.label;
+    select.appendChild(option);
+  });
+
+  select.value = devices.some(device => device.deviceId === selectedId) ? selectedId : "";
+  return devices;
+}
+
+function getCameraOptions() {
+  return {
+    size: CameraDevices.resolution(document.getElementById("cameraResolution").value),
+    flip: document.getElementById("cameraFlip").checked,
+    deviceId: localStorage.getItem("cameraDeviceId") || null
+  };
+}
+
+function setCameraDevice(deviceId) {
+  localStorage.setItem("cameraDeviceId", deviceId);
+  restartCamera();
+}
+
+function setCameraResolution(size) {
+  localStorage.setItem("cameraResolution", size);
+  restartCamera();
+}
+
+function setCameraFlip(flip) {
+  localStorage.setItem("cameraFlip", flip);
+  restartCamera();
+}
+
+/**
+ * Turn the camera off and on again with the current settings, without
+ * reloading the page: the model, the label mapping and the prediction loop
+ * stay as they are. Settings changed while the camera is off apply at init().
+ */
+async function restartCamera() {
+  if (!poseEngine || !poseEngine.isRunning || isRestartingCamera) return;
+  isRestartingCamera = true;
+  const button = document.getElementById("restartCameraBtn");
+  button.disabled = true;
+  setCameraStatus("Starting camera...");
+  try {
+    await poseEngine.startWebcam(getCameraOptions());
+    if (poseEngine.isRunning) await handleCameraStarted();
+    else poseEngine.stop(); // Stop was pressed while the camera was starting
+  } catch (error) {
+    console.error("Camera restart failed:", error);
+    showCameraError(error);
+  } finally {
+    isRestartingCamera = false;
+    button.disabled = !poseEngine.isRunning;
+  }
+}
+
+/**
+ * Pose predictions per second (the PoseEngine lowers it further while
+ * frames take longer than its budget)
+ */
+function setInferenceRate(fps) {
+  localStorage.setItem("inferenceRate", fps);
+  if (poseEngine) poseEngine.setInferenceRate(Number(fps));
+}
+
+/**
+ * Pose estimation in a Web Worker, applied when the camera is on
+ */
+async function setPoseWorker(enabled) {
+  localStorage.setItem("poseWorker", enabled);
+  if (!poseEngine || !poseEngine.isRunning) return;
+  try {
+    await poseEngine.setUseWorker(enabled);
+    updateInferenceStats();
+  } catch (error) {
+    console.error("Pose worker failed:", error);
+    handleWorkerError(error);
+  }
+}
+
+/**
+ * The worker couldn't start or broke: poses are estimated on the main thread
+ */
+function handleWorkerError(error) {
+  setCameraStatus("Pose worker unavailable, using the main thread: " + error.message, true);
+  updateInferenceStats();
+}
+
+function updateInferenceStats() {
+  const { predictionsPerSecond, targetFps, fps, totalMs, frameMs, isBackedOff, worker } = poseEngine.getInferenceStats();
+  const stats = document.getElementById("inference-stats");
+  stats.innerText = `Pose${worker ? " (worker)" : ""}: ${predictionsPerSecond.toFixed(1)}/${targetFps} per second, ${totalMs} ms` +
+    (isBackedOff ? ` (slowed to ${fps}/s, ${frameMs} ms frames)` : "");
+  stats.classList.toggle("slow", isBackedOff);
+}
+
+/**
+ * The webcam is (back) on: size everything that reads keypoint coordinates
+ * to the new resolution and continue a game paused by a lost camera
+ */
+async function handleCameraStarted() {
+  const { size, flip, deviceId } = poseEngine.cameraOptions;
+  const canvas = document.getElementById("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  analogControl.frameWidth = size;
+  analogControl.invert = !flip; // without mirroring the player's left is on the right of the image
+  if (fitnessTracker) fitnessTracker.frameWidth = size;
+
+  if (gameEngine && gameEngine.isPaused && gameEngine.pauseReason === "camera") {
+    gameEngine.resume(RESUME_COUNTDOWN_MS);
+  }
+
+  // Device names are only available once access has been granted
+  const devices = await refreshCameraList(localStorage.getItem("cameraDeviceId") || "");
+  const device = devices.find(entry => entry.deviceId === deviceId);
+  setCameraStatus(`📷 ${device ? device.label : "Camera"} (${size} px${flip ? ", mirrored" : ""})`);
+}
+
+/**
+ * The camera was unplugged or taken by another app: pause a camera-steered
+ * game and reconnect once a camera shows up again (or on Restart Camera)
+ */
+function handleCameraLost() {
+  showCameraError({ reason: "disconnected" });
+  if (gameEngine && gameEngine.isGameActive && !gameEngine.isReplaying && usesCameraInput()) {
+    gameEngine.pause("camera");
+  }
+}
+
+function handleDeviceChange() {
+  if (poseEngine && poseEngine.isRunning && poseEngine.isCameraLost) restartCamera();
+  else refreshCameraList(localStorage.getItem("cameraDeviceId") || "");
+}
+
+/**
+ * @returns {Object} { reason, message, recoverable } (see CameraDevices.describeError)
+ */
+function showCameraError(error) {
+  const described = CameraDevices.describeError(error);
+  setCameraStatus(described.message, true);
+  return described;
+}
+
+function setCameraStatus(text, isError = false) {
+  const status = document.getElementById("camera-status");
+  status.innerText = text;
+  status.classList.toggle("error", isError);
+}
+
+/**
+ * Prediction labels and the label mapping for the current model
+ */
+function setupModelLabels() {
+  const labels = poseEngine.model.getClassLabels();
+  labelContainer = document.getElementById("label-container");
+  labelContainer.innerHTML = "";
+  labels.forEach(() => labelContainer.appendChild(document.createElement("div")));
+
+  labelMapping = new LabelMapping(labels, { lanes: getLaneCount() });
+  lastMappedAction = null;
+  renderLabelMapping();
+  setModelStatus(`Model: ${labels.join(", ")}`);
+}
+
+/**
+ * Fill the model select with the default model and recent local models
+ */
+async function refreshModelList(selectedId) {
+  const select = document.getElementById("modelSelect");
+  let entries = [];
+  try {
+    entries = await recentModels.list();
+  } catch (error) {
+    console.warn("Recent models unavailable:", error);
+  }
+
+  select.innerHTML = "";
+  const defaultOption = document.createElement("option");
+  defaultOption.value = "";
+  defaultOption.innerText = "Default model (my_model)";
+  select.appendChild(defaultOption);
+  entries.forEach(entry => {
+    const option = document.createElement("option");
+    option.value = entry.id;
+    option.innerText = `${entry.name} (${entry.labels.join(", ")})`;
+    select.appendChild(option);
+  });
+
+  const selected = entries.find(entry => entry.id === selectedId);
+  select.value = selected ? selected.id : "";
+  if (selected && !poseEngine) modelSource = selected;
+}
+
+/**
+ * Switch to the default model or a recent one
+ */
+async function selectModel(id) {
+  try {
+    const entry = id ? await recentModels.touch(id) : null;
+    if (id && !entry) throw new Error("This model is no longer stored");
+    localStorage.setItem("selectedModel", id);
+    await useModel(entry || DEFAULT_MODEL_URL);
+  } catch (error) {
+    console.error("Model switch failed:", error);
+    setModelStatus(`⚠️ ${error.message}`);
+  }
+}
+
+/**
+ * Validate model.json + metadata.json + weights.bin from the file input or a drop
+ */
+async function loadModelFiles(fileList) {
+  let files;
+  try {
+    files = await ModelFiles.fromFiles(fileList);
+  } catch (error) {
+    setModelStatus(`⚠️ ${error.message}`);
+    alert(error.message);
+    return;
+  }
+
+  try {
+    await useModel(files);
+  } catch (error) {
+    console.error("Model load failed:", error);
+    setModelStatus(`⚠️ Model load failed: ${error.message}`);
+    return;
+  }
+
+  try {
+    const entry = await recentModels.save(files);
+    localStorage.setItem("selectedModel", entry.id);
+    await refreshModelList(entry.id);
+  } catch (error) {
+    console.warn("Could not remember model:", error);
+  }
+}
+
+/**
+ * Swap the model into the running PoseEngine, or keep it for init()
+ */
+async function useModel(source) {
+  modelSource = source;
+  if (!poseEngine || !poseEngine.model) {
+    setModelStatus("The model will be used when the camera turns on.");
+    return;
+  }
+
+  setModelStatus("Loading model...");
+  await poseEngine.loadModel(source);
+  if (stabilizer) stabilizer.reset();
+  if (calibration) closeCalibration(); // targets belonged to the old classes
+  setupModelLabels();
+}
+
+function setModelStatus(text) {
+  document.getElementById("model-status").innerText = text;
+}
+
+function setupModelDrop() {
+  const picker = document.getElementById("model-picker");
+  picker.addEventListener("dragover", (e) => {
+    e.preventDefault();
+    picker.classList.add("dragover");
+  });
+  picker.addEventListener("dragleave", () => picker.classList.remove("dragover"));
+  picker.addEventListener("drop", (e) => {
+    e.preventDefault();
+    picker.classList.remove("dragover");
+    loadModelFiles(e.dataTransfer.files);
+  });
+}
+
+/**
+ * Create the GameEngine (and its loops) once. Replays can be watched
+ * without a camera, so this doesn't depend on init().
  */
+function ensureGameEngine() {
+  if (gameEngine) return;
+  gameEngine = new GameEngine();
+  gameLoop = new GameLoop((frameDelta) => {
+    const running = gameEngine.update(frameDelta);
+    if (running && workout) updateWorkout(frameDelta);
+    return gameEngine.isGameActive;
+  });
+  replayPlayer = new ReplayPlayer(gameEngine);
+  replayLoop = new GameLoop((frameDelta) => {
+    const running = replayPlayer.update(frameDelta);
+    updateReplayControls();
+    return running;
+  });
+  setupGameCallbacks();
+}
+
 /**
- * Setup Game Callbacks
+ * Subscribe the DOM view to game events
  */
 function setupGameCallbacks() {
   // Score & Level
-  gameEngine.setScoreChangeCallback((score, level) => {
+  gameEngine.on("scoreChanged", ({ score, level }) => {
     scoreBoard.innerText = `Score: ${score}`;
     levelBoard.innerText = `Level: ${level}`;
   });
 
   // Timer
-  gameEngine.setTimeUpdateCallback((time) => {
+  gameEngine.on("timeUpdated", ({ time }) => {
     timerBoard.innerText = `Time: ${time}`;
-    if (time <= 10) timerBoard.style.color = "red";
+    if (gameEngine.mode.timed && time <= 10) timerBoard.style.color = "red";
     else timerBoard.style.color = "white";
   });
 
-  // Basket Movement
-  gameEngine.setBasketMoveCallback((position) => {
-    let left = "50%";
-    if (position === "Left") left = "16%";
-    else if (position === "Right") left = "84%";
-    else left = "50%"; // Center
+  // Lives (only modes with lives)
+  gameEngine.on("livesChanged", ({ lives }) => {
+    if (lives === null) return;
+    livesBoard.innerText = "❤️".repeat(Math.max(0, lives)) || "💔";
+  });
 
-    basket.style.left = left;
+  // Combo (hidden until a streak starts)
+  gameEngine.on("comboChanged", ({ combo, multiplier }) => {
+    comboBoard.style.display = combo > 1 ? "block" : "none";
+    comboBoard.innerText = `🔥 ${combo}` + (multiplier > 1 ? ` x${multiplier}` : "");
+    comboBoard.classList.toggle("boosted", multiplier > 1);
   });
 
-  // Active Effects UI
-  gameEngine.setEffectChangeCallback((effects) => {
-    // Shield Visual
-    if (effects.shield) {
-      basket.innerText = "🧺🛡️";
-      basket.style.border = "3px solid gold";
-    } else {
-      basket.innerText = "🧺";
-      basket.style.border = "none";
-    }
+  // Basket Movement
+  gameEngine.on("basketMoved", ({ x }) => renderer.moveBasket(x));
 
-    // Magnet Visual
-    if (effects.magnet) {
-      basket.style.boxShadow = "0 0 20px purple";
-    } else if (!effects.shield) {
-      basket.style.boxShadow = "none";
-    }
+  // Active Effects UI (shield, magnet and the stored power-up are drawn on the basket)
+  gameEngine.on("effectsChanged", (effects) => {
+    renderer.setEffects(effects);
 
     // Time Slow Visual
     if (effects.timeSlow) {
@@ -134,147 +554,1380 @@ function setupGameCallbacks() {
     }
   });
 
-  // Item Spawn
-  gameEngine.setItemSpawnCallback((item) => {
-    const el = document.createElement("div");
-    el.id = item.id;
-    el.className = "item";
-
-    // Content
-    switch (item.type) {
-      case "Apple": el.innerText = "🍎"; break;
-      case "Banana": el.innerText = "🍌"; break;
-      case "Bomb": el.innerText = "💣"; break;
-      case "Shield": el.innerText = "🛡️"; break;
-      case "Magnet": el.innerText = "🧲"; break;
-      case "Time": el.innerText = "⏳"; break;
-    }
-
-    // X Position
-    let left = "50%";
-    if (item.lane === "Left") left = "16%";
-    else if (item.lane === "Right") left = "84%";
+  // Pause overlay (button, Esc/P, mapped "Pause" class, or the player leaving the frame)
+  gameEngine.on("gamePaused", ({ reason }) => {
+    window.soundManager.pauseMusic();
+    window.soundManager.playPause();
+    const titles = { absent: "🚶 Step back into the frame", rest: "😮‍💨 Rest", camera: "📷 Camera disconnected" };
+    const messages = {
+      absent: "The game continues when you're back.",
+      camera: "The game continues when the camera is back. Resume to play with the keyboard, touch buttons or a gamepad."
+    };
+    document.getElementById("pause-title").innerText = titles[reason] || "⏸️ Paused";
+    document.getElementById("pause-message").innerText = messages[reason] || "";
+    document.getElementById("pause-countdown").innerText = "";
+    document.getElementById("resumeBtn").disabled = reason === "rest"; // rests end on their own
+    gameArea.classList.add("paused");
+    pauseBtn.innerText = "Resume";
+  });
+  gameEngine.on("resumeCountdown", ({ seconds }) => {
+    window.soundManager.playCountdown(false);
+    document.getElementById("pause-title").innerText = "Get ready!";
+    document.getElementById("pause-message").innerText = "";
+    document.getElementById("pause-countdown").innerText = seconds;
+    document.getElementById("resumeBtn").disabled = true;
+  });
+  gameEngine.on("gameResumed", () => {
+    window.soundManager.playCountdown(true);
+    window.soundManager.resumeMusic();
+    gameArea.classList.remove("paused");
+    pauseBtn.innerText = "Pause";
+  });
 
-    el.style.left = left;
-    el.style.top = "0%";
+  // Items (sprites are pooled by the renderer)
+  gameEngine.on("itemSpawned", ({ item }) => renderer.addItem(item));
+  gameEngine.on("itemRemoved", ({ item }) => renderer.removeItem(item)); // caught, missed or cleared
 
-    gameArea.appendChild(el);
+  // Bomb Hit (shake unless the shield absorbed it)
+  gameEngine.on("bombHit", ({ shielded }) => {
+    if (!shielded && !replayPlayer.isSeeking) renderer.shake();
   });
 
-  // Item Remove
-  gameEngine.setItemRemoveCallback((itemId) => {
-    if (el) {
-      // Visual Effect for Catching
-      // We know it's a removal, but let's check if it was 'caught' or 'missed' logic?
-      // Actually gameEngine removes items when caught OR misses.
-      // For simplicity, let's just play sound here if it was a positive catch?
-      // Better: Hook into gameEngine's event?
-      // Since `onItemRemove` is generic, we might want a specific `onItemCatch` event in GameEngine
-      // But we can approximate: if we play sound in gameEngine, it's easier.
-      // Wait, SoundManager is global now. Let's use it in gameEngine or here?
-      // Let's keep visual logic here.
+  // Score Popup
+  gameEngine.on("scorePopup", ({ points, multiplier, perfect, x, y }) => {
+    if (replayPlayer.isSeeking) return;
+    const text = (perfect ? "Perfect! " : "") + (points > 0 ? `+${points}` : `${points}`) +
+      (multiplier > 1 ? ` x${multiplier}` : "");
+    const kind = points < 0 ? "penalty" : perfect ? "perfect" : "";
+    renderer.showPopup({ text, kind, x, y });
+  });
 
-      el.remove();
-    }
+  // Sound Cues
+  gameEngine.on("soundCue", ({ cue }) => {
+    if (!replayPlayer.isSeeking) window.soundManager.play(cue);
   });
 
-  // Render Loop (Update Item Positions)
-  gameEngine.setRenderCallback((items) => {
-    items.forEach(item => {
-      const el = document.getElementById(item.id);
-      if (el) {
-        el.style.top = `${item.y}%`;
+  // Music speeds up with the level
+  gameEngine.on("levelUp", ({ level }) => {
+    if (!gameEngine.isReplaying) window.soundManager.setMusicLevel(level);
+  });
 
-        // Update Horizontal Position (for Magnet effect)
-        let left = "50%";
-        if (item.lane === "Left") left = "16%";
-        else if (item.lane === "Right") left = "84%";
-        el.style.left = left;
-      }
-    });
+  // Render Loop (frame cost shown under the renderer select)
+  gameEngine.on("render", ({ items }) => {
+    renderer.render(items);
+    if (renderer.frames % 30 === 0) updateRenderStats();
   });
 
   // Game End
-  gameEngine.setGameEndCallback((score, level, reason) => {
+  gameEngine.on("gameEnded", ({ score, level, reason }) => {
+    if (gameEngine.isReplaying) {
+      onReplayEnd();
+      return;
+    }
+
     // Sound
+    window.soundManager.stopMusic();
     window.soundManager.playGameOver();
 
-    // High Score Logic
-    const currentHigh = localStorage.getItem("highScore") || 0;
-    if (score > currentHigh) {
-      localStorage.setItem("highScore", score);
+    // Keep the replay of this run
+    lastReplay = gameEngine.getReplay();
+    document.getElementById("saveReplayBtn").disabled = false;
+    document.getElementById("watchReplayBtn").disabled = false;
+
+    // Seed line so a run can be reproduced
+    const { seed } = gameEngine.getGameState();
+    const seedInfo = gameEngine.config.daily
+      ? `Daily Challenge ${SeededRandom.dateKey()} (Seed: ${seed})`
+      : `Seed: ${seed}`;
+
+    // High Score Logic (per mode)
+    const highScoreKey = GameModes.highScoreKey(gameEngine.mode.id);
+    const currentHigh = Number(localStorage.getItem(highScoreKey)) || 0;
+    const isHighScore = score > currentHigh;
+    if (isHighScore) {
+      localStorage.setItem(highScoreKey, score);
       highscoreBoard.innerText = `Best: ${score}`;
-      alert(`🎉 New High Score: ${score}!\nLevel: ${level}`);
-    } else {
-      let msg = "Game Over!";
-      if (reason === "Bomb") msg = "💥 BOOM! You hit a bomb!";
-      else if (reason === "Timeout") msg = "⏰ Time's Up!";
-      alert(`${msg}\nScore: ${score}\nLevel: ${level}`);
     }
-    // Clear items
-    const items = document.querySelectorAll(".item");
-    items.forEach(el => el.remove());
 
-    // Reset Visuals
-    basket.innerText = "🧺";
-    basket.style.border = "none";
-    basket.style.boxShadow = "none";
+    let msg = "Game Over!";
+    if (reason === "Bomb") msg = "💥 BOOM! You hit a bomb!";
+    else if (reason === "Timeout") msg = "⏰ Time's Up!";
+    else if (reason === "NoLives") msg = "💔 Out of lives!";
+    else if (reason === "Quit") msg = "🏁 Game ended";
+    else if (reason === "WorkoutComplete") msg = "💪 Workout complete!";
+    const title = isHighScore ? `🎉 New High Score: ${score}!` : msg;
+    const details = `${isHighScore ? msg + "\n" : ""}Score: ${score}\nLevel: ${level}\n${seedInfo}`;
+    openResults(title, details, gameEngine.getStats());
+
+    // Leaderboard: ask for a name when the run makes its table
+    const run = {
+      score,
+      level,
+      reason,
+      durationMs: Math.round(gameEngine.simTime),
+      mode: gameEngine.mode.id,
+      stage: gameEngine.stage.name,
+      lanes: gameEngine.laneCount,
+      control: gameEngine.control,
+      seed,
+      daily: !!gameEngine.config.daily,
+      adaptive: !!gameEngine.difficulty
+    };
+    if (leaderboard.qualifies(run.mode, run.stage, score)) openNameEntry(run);
+    saveAdaptiveRun(run);
+    finishWorkout(run);
+    clearGameArea();
 
+    document.getElementById("endGameBtn").disabled = true;
+    pauseBtn.disabled = true;
     gameStartBtn.disabled = false;
     gameStartBtn.innerText = "Restart Game";
   });
 }
 
-function startGame() {
-  gameStartBtn.disabled = true;
-  gameEngine.start({ timeLimit: 60 });
+/**
+ * Remove items and reset basket visuals after a run
+ */
+function clearGameArea() {
+  renderer.clear();
+  gameArea.classList.remove("paused");
+  pauseBtn.innerText = "Pause";
+  comboBoard.style.display = "none";
+  fitnessBoard.style.display = "none";
+}
+
+/**
+ * Volume sliders and the mute button reflect the saved settings
+ */
+function setupSoundSettings() {
+  const settings = window.soundManager.getSettings();
+  ["master", "music", "sfx"].forEach(channel => {
+    document.getElementById(`${channel}Volume`).value = Math.round(settings[channel] * 100);
+  });
+  updateMuteButton();
 }
 
-// Keyboard Controls
-window.addEventListener("keydown", (e) => {
-  if (!gameEngine || !gameEngine.isGameActive) return;
+function setVolume(channel, value) {
+  window.soundManager.setVolume(channel, value / 100);
+}
+
+function toggleMute() {
+  window.soundManager.toggleMute();
+  updateMuteButton();
+}
+
+function updateMuteButton() {
+  document.getElementById("muteBtn").innerText = window.soundManager.isMuted ? "🔇 Sound Off" : "🔊 Sound On";
+}
+
+/**
+ * Switch between the Canvas and DOM renderers, also in the middle of a run
+ */
+function setRenderer(type) {
+  const Renderer = type === "dom" || !CanvasRenderer.isSupported() ? DomRenderer : CanvasRenderer;
+  if (renderer) renderer.unmount();
+  renderer = new Renderer(gameArea, { icons: ITEM_ICONS });
+  renderer.mount();
+  if (renderer.setSpriteSheet) renderer.setSpriteSheet(spriteSheet);
+  localStorage.setItem("renderer", renderer.id);
+  rendererSelect.value = renderer.id;
 
-  switch (e.key) {
-    case "ArrowLeft":
-      gameEngine.onPoseDetected("Left");
-      break;
-    case "ArrowRight":
-      gameEngine.onPoseDetected("Right");
-      break;
-    case "ArrowDown":
-      gameEngine.onPoseDetected("Center");
-      break;
+  // Pick up the current run where the old renderer left it
+  if (gameEngine && gameEngine.isGameActive) {
+    const state = gameEngine.getGameState();
+    gameEngine.items.forEach(item => renderer.addItem(item));
+    renderer.moveBasket(state.basketX);
+    renderer.setEffects(state.effects);
+    renderer.render(gameEngine.items);
   }
-});
+  updateRenderStats();
+}
 
-function stop() {
-  if (poseEngine) poseEngine.stop();
-  if (gameEngine) gameEngine.stop();
-  document.getElementById("startBtn").disabled = false;
-  document.getElementById("startBtn").style.display = "inline-block";
-  gameStartBtn.disabled = true;
+function updateRenderStats() {
+  const { averageMs, items, pooled } = renderer.getStats();
+  document.getElementById("render-stats").innerText =
+    `${renderer.name}: ${averageMs.toFixed(2)} ms/frame, ${items} items, ${pooled} sprites`;
 }
 
 /**
- * Prediction Handler
+ * Fill the sprite select from sprites/index.json (emoji are always available)
  */
-function handlePrediction(predictions) {
-  // 1. Stabilize
-  const stabilized = stabilizer.stabilize(predictions);
+async function loadSpriteList() {
+  const select = document.getElementById("spriteSelect");
+  try {
+    const response = await fetch("./sprites/index.json");
+    if (!response.ok) return;
+    const sheets = await response.json();
+    sheets.forEach(sheet => {
+      const option = document.createElement("option");
+      option.value = sheet.file;
+      option.innerText = sheet.name;
+      select.appendChild(option);
+    });
+  } catch (error) {
+    console.warn("Sprite sheet list unavailable, using emoji:", error);
+  }
+}
 
-  // 2. Debug UI
-  for (let i = 0; i < predictions.length; i++) {
-    const classPrediction =
-      predictions[i].className + ": " + predictions[i].probability.toFixed(2);
-    labelContainer.childNodes[i].innerHTML = classPrediction;
+/**
+ * Sprite sheets are drawn by the canvas renderer only
+ */
+async function selectSpriteSheet(file) {
+  try {
+    spriteSheet = file ? await CanvasRenderer.loadSpriteSheet(`./sprites/${file}`) : null;
+  } catch (error) {
+    console.error("Sprite sheet load failed:", error);
+    alert("Sprite sheet load failed: " + error.message);
+    spriteSheet = null;
+    document.getElementById("spriteSelect").value = "";
   }
+  if (renderer.setSpriteSheet) renderer.setSpriteSheet(spriteSheet);
+}
 
-  const maxDiv = document.getElementById("max-prediction");
-  maxDiv.innerText = stabilized.className || "-";
+/**
+ * Show the HUD boards the mode uses and its own high score
+ */
+function applyModeHud(modeId) {
+  const mode = GameModes.get(modeId);
+  livesBoard.style.display = mode.lives !== null ? "block" : "none";
+  livesBoard.innerText = "❤️".repeat(mode.lives || 0);
+  timerBoard.innerText = mode.timed ? `Time: ${StagePack.CLASSIC.timeLimit}` : "Time: 0";
+  timerBoard.style.color = "white";
+
+  const best = localStorage.getItem(GameModes.highScoreKey(modeId)) || 0;
+  highscoreBoard.innerText = `Best: ${best}`;
+  workoutSelect.style.display = modeId === "fitness" ? "" : "none";
+}
+
+/**
+ * Results screen: end reason, run statistics and simple bar charts
+ */
+function openResults(title, details, stats) {
+  document.getElementById("results-title").innerText = title;
+  document.getElementById("results-details").innerText = details;
+
+  const fruitCaught = FRUIT_STAT_TYPES.reduce((sum, type) => sum + (stats.caught[type] || 0), 0);
+  const fruitMissed = FRUIT_STAT_TYPES.reduce((sum, type) => sum + (stats.missed[type] || 0), 0);
+  const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+  const rows = [
+    ["Play time", seconds(stats.durationMs)],
+    ["Fruit caught", fruitCaught + fruitMissed ? `${fruitCaught}/${fruitCaught + fruitMissed} (${Math.round(fruitCaught / (fruitCaught + fruitMissed) * 100)}%)` : "-"],
+    ["Longest streak", stats.longestStreak],
+    ["Bombs dodged", stats.bombsDodged],
+    ["Bombs hit", stats.bombsHit],
+    ["Shields used", stats.shieldsUsed],
+    ["Hazards hit", stats.hazardsHit],
+    ["🧲 Magnet time", seconds(stats.powerUpMs.magnet)],
+    ["⏳ Time Slow time", seconds(stats.powerUpMs.timeSlow)],
+    ["Reaction (avg / best)", stats.reaction.count ? `${stats.reaction.averageMs} ms / ${stats.reaction.bestMs} ms` : "-"]
+  ];
+  document.getElementById("results-stats").innerHTML =
+    rows.map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`).join("");
+
+  const types = Array.from(new Set([...Object.keys(stats.caught), ...Object.keys(stats.missed)]));
+  document.getElementById("results-items").innerHTML = barChartHtml(types.map(type => ({
+    label: `${ITEM_ICONS[type] || ""} ${type}`,
+    caught: stats.caught[type] || 0,
+    missed: stats.missed[type] || 0
+  })));
+  document.getElementById("results-lanes").innerHTML = barChartHtml(stats.lanes.map((lane, i) => ({
+    label: `Lane ${i + 1}`,
+    caught: lane.caught,
+    missed: lane.missed
+  })));
+
+  renderDifficultyLog(stats.difficulty);
+  document.getElementById("results-fitness").style.display = "none"; // shown by finishWorkout()
+
+  document.getElementById("name-entry").style.display = "none";
+  document.getElementById("results-panel").style.display = "flex";
+}
+
+/**
+ * How adaptive difficulty changed during the run (hidden when it was off)
+ */
+function renderDifficultyLog(difficulty) {
+  const section = document.getElementById("results-difficulty");
+  section.style.display = difficulty ? "block" : "none";
+  document.getElementById("exportDifficultyBtn").disabled = !playerProfiles.getCurrentName();
+  if (!difficulty) return;
+
+  const percent = (value) => `${Math.round(value * 100)}%`;
+  const rows = difficulty.log.map(entry => `
+    <tr>
+      <td>${entry.time.toFixed(1)}s</td>
+      <td>${entry.catchRate === null ? "-" : percent(entry.catchRate)}</td>
+      <td>${entry.bombHits} / ${entry.nearMisses}</td>
+      <td>${entry.reason}</td>
+      <td>${percent(entry.speed)}</td>
+      <td>${percent(entry.spawnInterval)}</td>
+      <td>${percent(entry.bombWeight)}</td>
+    </tr>`).join("");
+  document.getElementById("difficulty-log").innerHTML = `
+    <tr><th>Time</th><th>Catch rate</th><th>Bombs hit / near</th><th>Change</th><th>Speed</th><th>Spawn gap</th><th>Bombs</th></tr>
+    ${rows || '<tr><td colspan="7">No changes - the difficulty stayed at the stage\'s values</td></tr>'}`;
+}
+
+/**
+ * Keep the adaptive difficulty log of a finished run in the current player's profile
+ */
+function saveAdaptiveRun(run) {
+  const name = playerProfiles.getCurrentName();
+  const stats = gameEngine.getStats();
+  if (!name || !stats.difficulty) return;
+  playerProfiles.addAdaptiveRun(name, {
+    date: new Date().toISOString(),
+    mode: run.mode,
+    stage: run.stage,
+    score: run.score,
+    level: run.level,
+    durationMs: run.durationMs,
+    ...stats.difficulty
+  });
+}
+
+/**
+ * Download the current player's adaptive runs (for teachers)
+ */
+function exportDifficultyLog() {
+  const name = playerProfiles.getCurrentName();
+  const profile = playerProfiles.get(name);
+  const data = { player: name, runs: (profile && profile.adaptiveRuns) || [] };
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `difficulty-${name}-${SeededRandom.dateKey()}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+function setAdaptiveDifficulty(enabled) {
+  localStorage.setItem("adaptiveDifficulty", enabled);
+}
+
+function setWorkoutProgram(id) {
+  localStorage.setItem("workoutProgram", id);
+}
+
+/**
+ * Fitness mode: count the player's moves and run the selected workout program
+ */
+function startWorkout() {
+  workout = null;
+  if (gameEngine.mode.id !== "fitness") return;
+  fitnessTracker = fitnessTracker || new FitnessTracker({ frameWidth: getCameraOptions().size });
+  fitnessTracker.reset(gameEngine.basketLane, gameEngine.laneCount);
+  workout = new WorkoutSession(WorkoutSession.getProgram(workoutSelect.value), fitnessTracker);
+  workout.start();
+  fitnessBoard.style.display = "block";
+  updateFitnessHud();
+}
+
+/**
+ * Runs every frame with the game loop. The workout clock stands still
+ * during a manual pause, an absence or the countdown after a rest.
+ */
+function updateWorkout(frameDelta) {
+  const resting = workout.isResting();
+  if (gameEngine.isPaused && !resting) return;
+
+  const dt = Math.min(frameDelta, MAX_FRAME_MS); // same cap as the game clock
+  if (!resting) fitnessTracker.tick(dt);
+  const change = workout.update(dt);
+  if (change) {
+    if (!change.next) {
+      gameEngine.stop("WorkoutComplete");
+      return;
+    }
+    if (change.next.type === "rest") {
+      gameEngine.pause("rest");
+    } else {
+      gameEngine.resume(RESUME_COUNTDOWN_MS);
+      // Still out of the frame (or the camera is gone) when the rest ends
+      checkCameraPlayer();
+    }
+  }
+  updateFitnessHud();
+}
+
+function updateFitnessHud() {
+  const interval = workout.current();
+  if (!interval) {
+    fitnessBoard.innerText = `🏃 ${fitnessTracker.laneChanges}`;
+    return;
+  }
+  const seconds = Math.ceil(workout.getRemaining() / 1000);
+  if (interval.type === "rest") {
+    fitnessBoard.innerText = `😮‍💨 ${seconds}s`;
+    const next = workout.program.intervals[workout.index + 1];
+    document.getElementById("pause-message").innerText =
+      `Next round in ${seconds}s` + (next ? `: ${next.targetMoves} moves in ${next.seconds}s` : "");
+  } else {
+    fitnessBoard.innerText = `🏃 ${workout.getMoves()}/${interval.targetMoves} ⏱️ ${seconds}s`;
+  }
+}
+
+/**
+ * Lane (or analog x) inputs while playing count as moves
+ */
+function countFitnessMove(value) {
+  if (gameEngine.isPaused || gameEngine.isReplaying || value === "powerup") return;
+  if (typeof value === "number" && gameEngine.control !== "analog") return;
+  const lane = typeof value === "number" ? gameEngine.laneAtX(value) : gameEngine.parseLane(value);
+  fitnessTracker.laneInput(lane);
+}
+
+/**
+ * Show the workout on the results screen and keep it in the player's history
+ */
+function finishWorkout(run) {
+  if (!workout) return;
+  const session = {
+    date: new Date().toISOString(),
+    score: run.score,
+    ...workout.getSummary(),
+    ...fitnessTracker.getSummary()
+  };
+  workout = null;
+
+  const name = playerProfiles.getCurrentName();
+  const profile = name ? playerProfiles.addFitnessSession(name, session) : null;
+  renderFitnessResults(session, profile ? WorkoutSession.weeklyTotals(profile.fitnessSessions) : null);
+}
+
+/**
+ * @param {Object} session - finished workout
+ * @param {Object[]|null} weeks - the player's weekly totals (null without a player)
+ */
+function renderFitnessResults(session, weeks) {
+  const seconds = (ms) => `${Math.round(ms / 1000)}s`;
+  const minutes = (ms) => `${(ms / 60000).toFixed(1)} min`;
+  const rows = [
+    ["Program", session.programName + (session.completed ? " ✔" : "")],
+    ["Active time", `${seconds(session.activeMs)} of ${seconds(session.playMs)}`],
+    ["Lane changes", `${session.laneChanges} (${session.movesPerMinute}/min)`],
+    ["Side-to-side moves", session.sweeps],
+    ["Intensity", session.intensity],
+    ["Targets met", session.targets ? `${session.targetsMet}/${session.targets}` : "-"]
+  ];
+  document.getElementById("fitness-summary").innerHTML =
+    rows.map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`).join("");
+
+  const intervals = session.intervals.filter(interval => interval.type === "play");
+  document.getElementById("fitness-intervals").innerHTML = intervals.length === 0 ? "" : `
+    <tr><th>Round</th><th>Time</th><th>Moves / target</th></tr>
+    ${intervals.map((interval, i) => `
+      <tr>
+        <td>${i + 1}${interval.partial ? " (ended early)" : ""}</td>
+        <td>${interval.seconds}s</td>
+        <td class="${interval.met ? "met" : ""}">${interval.moves} / ${interval.targetMoves}</td>
+      </tr>`).join("")}`;
+
+  document.getElementById("fitness-weeks").innerHTML = weeks ? `
+    <tr><th>Week of</th><th>Sessions</th><th>Active</th><th>Lane changes</th><th>Side-to-side</th></tr>
+    ${weeks.slice(0, 4).map(week => `
+      <tr>
+        <td>${week.week}</td>
+        <td>${week.sessions}</td>
+        <td>${minutes(week.activeMs)}</td>
+        <td>${week.laneChanges}</td>
+        <td>${week.sweeps}</td>
+      </tr>`).join("")}`
+    : '<tr><td>Pick a player (Calibrate Player) to keep a workout history</td></tr>';
+
+  document.getElementById("results-fitness").style.display = "block";
+}
+
+/**
+ * Horizontal stacked bars (caught / missed), scaled to the largest row
+ */
+function barChartHtml(rows) {
+  if (rows.length === 0) return '<div class="chart-empty">No items</div>';
+  const max = Math.max(1, ...rows.map(row => row.caught + row.missed));
+  return rows.map(row => `
+    <div class="chart-row">
+      <span class="chart-label">${row.label}</span>
+      <span class="chart-track">
+        <span class="chart-bar caught" style="width: ${row.caught / max * 100}%"></span>
+        <span class="chart-bar missed" style="width: ${row.missed / max * 100}%"></span>
+      </span>
+      <span class="chart-value">${row.caught} / ${row.missed}</span>
+    </div>`).join("");
+}
+
+function closeResults() {
+  closeNameEntry();
+  document.getElementById("results-panel").style.display = "none";
+}
+
+/**
+ * End-of-game name entry for the leaderboard (part of the results screen)
+ */
+function openNameEntry(run) {
+  pendingRun = run;
+  const input = document.getElementById("leaderboardName");
+  input.value = playerProfiles.getCurrentName() || localStorage.getItem("leaderboardName") || "";
+  document.getElementById("name-entry").style.display = "flex";
+}
+
+function saveNameEntry() {
+  const name = document.getElementById("leaderboardName").value.trim();
+  if (!name) {
+    alert("Please enter a name.");
+    return;
+  }
+  localStorage.setItem("leaderboardName", name);
+  const { entry } = leaderboard.add({ ...pendingRun, name });
+  closeNameEntry();
+  openLeaderboard({ mode: entry.mode, stage: entry.stage, highlight: entry.id });
+}
+
+function closeNameEntry() {
+  pendingRun = null;
+  document.getElementById("name-entry").style.display = "none";
+}
+
+/**
+ * Leaderboard tables, filtered by mode and stage
+ */
+function openLeaderboard(options = {}) {
+  const modeFilter = document.getElementById("leaderboardMode");
+  const stageFilter = document.getElementById("leaderboardStage");
+
+  modeFilter.innerHTML = '<option value="">All modes</option>';
+  GameModes.list().forEach(mode => {
+    const option = document.createElement("option");
+    option.value = mode.id;
+    option.innerText = mode.name;
+    modeFilter.appendChild(option);
+  });
+  stageFilter.innerHTML = '<option value="">All stages</option>';
+  leaderboard.getStages().forEach(stage => {
+    const option = document.createElement("option");
+    option.value = stage;
+    option.innerText = stage;
+    stageFilter.appendChild(option);
+  });
+
+  modeFilter.value = options.mode !== undefined ? options.mode : modeSelect.value;
+  stageFilter.value = options.stage || "";
+  renderLeaderboard(options.highlight);
+  document.getElementById("leaderboard-panel").style.display = "flex";
+}
+
+function renderLeaderboard(highlightId = null) {
+  const mode = document.getElementById("leaderboardMode").value;
+  const stage = document.getElementById("leaderboardStage").value;
+  const entries = leaderboard.getTable({ mode, stage });
+  const table = document.getElementById("leaderboard-table");
+
+  if (entries.length === 0) {
+    table.innerHTML = "<tr><td>No scores yet.</td></tr>";
+    return;
+  }
+
+  table.innerHTML = "<tr><th>#</th><th>Name</th><th>Score</th><th>Level</th><th>Time</th><th>Mode</th><th>Stage</th><th>Date</th></tr>";
+  entries.forEach((entry, i) => {
+    const seconds = Math.round(entry.durationMs / 1000);
+    const duration = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+    const modeName = GameModes.get(entry.mode) ? GameModes.get(entry.mode).name : entry.mode;
+    const row = document.createElement("tr");
+    if (entry.id === highlightId) row.className = "highlight";
+    [i + 1, entry.name, entry.score, entry.level, duration, modeName, entry.stage, new Date(entry.date).toLocaleDateString()]
+      .forEach(value => {
+        const cell = document.createElement("td");
+        cell.innerText = value; // names may come from other machines via import
+        row.appendChild(cell);
+      });
+    table.appendChild(row);
+  });
+}
+
+function closeLeaderboard() {
+  document.getElementById("leaderboard-panel").style.display = "none";
+}
+
+function exportLeaderboard() {
+  const blob = new Blob([JSON.stringify(leaderboard.export())], { type: "application/json" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `leaderboard-${SeededRandom.dateKey()}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Merge a leaderboard exported on another machine
+ */
+function importLeaderboard(input) {
+  const file = input.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      const added = leaderboard.import(JSON.parse(reader.result));
+      alert(`Imported ${added} new score${added === 1 ? "" : "s"}.`);
+      openLeaderboard({ mode: document.getElementById("leaderboardMode").value });
+    } catch (error) {
+      alert("Leaderboard import failed: " + error.message);
+    }
+  };
+  reader.readAsText(file);
+  input.value = "";
+}
+
+/**
+ * Daily Challenge -> date seed, otherwise the typed seed (if any)
+ */
+function getSeedConfig() {
+  if (document.getElementById("dailyChallenge").checked) {
+    return { seed: SeededRandom.dailySeed(), daily: true };
+  }
+  const typed = document.getElementById("seedInput").value.trim();
+  if (typed === "") return {};
+  const seed = /^\d+$/.test(typed) ? Number(typed) : SeededRandom.hashString(typed);
+  return { seed };
+}
+
+/**
+ * Fill the stage selector from stages/index.json
+ */
+async function loadStageList() {
+  const select = document.getElementById("stageSelect");
+  try {
+    const response = await fetch("./stages/index.json");
+    if (!response.ok) return;
+    const packs = await response.json();
+    packs.forEach(pack => {
+      const option = document.createElement("option");
+      option.value = pack.file;
+      option.innerText = pack.name;
+      select.appendChild(option);
+    });
+  } catch (error) {
+    console.warn("Stage list unavailable, only Classic is offered:", error);
+  }
+}
+
+/**
+ * Selected stage pack (validated), Classic when none is chosen
+ */
+async function getSelectedStage() {
+  const file = document.getElementById("stageSelect").value;
+  if (!file) return StagePack.CLASSIC;
+  if (!stageCache[file]) stageCache[file] = await StagePack.load(`./stages/${file}`);
+  return stageCache[file];
+}
+
+async function startGame() {
+  ensureGameEngine();
+  if (replayPlayer.replay) stopReplay();
+  closeResults();
+  gameStartBtn.disabled = true;
+
+  let stage;
+  try {
+    stage = await getSelectedStage();
+  } catch (error) {
+    console.error("Stage load failed:", error);
+    alert("Stage load failed: " + error.message);
+    gameStartBtn.disabled = false;
+    return;
+  }
+
+  applyModeHud(modeSelect.value);
+  gameEngine.start({
+    mode: modeSelect.value,
+    control: document.getElementById("controlSelect").value,
+    lanes: getLaneCount(),
+    manualPowerUps: !!labelMapping && labelMapping.isBound("powerup"),
+    adaptive: document.getElementById("adaptiveDifficulty").checked,
+    stage,
+    ...getSeedConfig()
+  });
+  document.getElementById("endGameBtn").disabled = false;
+  pauseBtn.disabled = false;
+  window.soundManager.startMusic(gameEngine.level);
+  startWorkout();
+  // Already out of the frame (or the camera is gone) when the game starts
+  checkCameraPlayer();
+  gameLoop.start();
+}
+
+/**
+ * Calibration wizard: ask the player to hold each pose, then derive
+ * per-player stabilizer thresholds and save them in their profile
+ */
+function openCalibration() {
+  const nameInput = document.getElementById("playerName");
+  const playerList = document.getElementById("playerList");
+  playerList.innerHTML = "";
+  playerProfiles.list().forEach(profile => {
+    const option = document.createElement("option");
+    option.value = profile.name;
+    playerList.appendChild(option);
+  });
+  nameInput.value = playerProfiles.getCurrentName();
+
+  calibration = null;
+  document.getElementById("calibration-status").innerText = "Enter your name, then hold each pose when asked.";
+  document.getElementById("calibration-summary").innerHTML = "";
+  document.getElementById("calibrationStartBtn").disabled = false;
+  document.getElementById("calibrationSaveBtn").disabled = true;
+  document.getElementById("calibration-panel").style.display = "flex";
+}
+
+function startCalibration() {
+  const name = document.getElementById("playerName").value.trim();
+  if (!name) {
+    alert("Please enter a player name first.");
+    return;
+  }
+
+  calibration = new PoseCalibration(poseEngine.model.getClassLabels());
+  calibration.setStepChangeCallback((state) => {
+    if (state.phase === "done") showCalibrationResult();
+  });
+  document.getElementById("calibrationStartBtn").disabled = true;
+  document.getElementById("calibrationSaveBtn").disabled = true;
+  document.getElementById("calibration-summary").innerHTML = "";
+  calibration.begin();
+}
+
+function renderCalibrationStatus() {
+  const { phase, target, step, totalSteps, remainingMs } = calibration.getState();
+  if (phase === "done") return;
+  const seconds = (remainingMs / 1000).toFixed(1);
+  const text = phase === "prepare"
+    ? `Step ${step}/${totalSteps}: get ready for "${target}"... ${seconds}s`
+    : `Step ${step}/${totalSteps}: hold "${target}"! ${seconds}s`;
+  document.getElementById("calibration-status").innerText = text;
+}
+
+/**
+ * Confusion table (rows: pose asked for, columns: pose recognised)
+ */
+function showCalibrationResult() {
+  const summary = calibration.getSummary();
+  const thresholds = calibration.deriveThresholds();
+  const labels = calibration.labels;
+
+  fillConfusionTable(document.getElementById("calibration-summary"), labels, summary, "Threshold", (target) => thresholds[target] !== undefined ? thresholds[target] : "-");
+
+  const weak = labels.filter(l => summary[l].accuracy < 0.7);
+  document.getElementById("calibration-status").innerText = weak.length
+    ? `Done. Often confused: ${weak.join(", ")} - consider retraining these poses.`
+    : "Done. All poses were recognised well.";
+  document.getElementById("calibrationStartBtn").disabled = false;
+  document.getElementById("calibrationSaveBtn").disabled = false;
+}
+
+/**
+ * Rows: class asked for, columns: class recognised (share of samples),
+ * then accuracy and one extra column
+ */
+function fillConfusionTable(table, labels, summary, extraHeader, extraValue) {
+  const addCell = (row, tag, value, className) => {
+    const cell = document.createElement(tag);
+    cell.innerText = value; // labels come from user-trained or imported models
+    if (className) cell.className = className;
+    row.appendChild(cell);
+  };
+
+  table.innerHTML = "";
+  const header = document.createElement("tr");
+  ["Asked / Seen", ...labels, "Accuracy", extraHeader].forEach(value => addCell(header, "th", value));
+  table.appendChild(header);
+
+  labels.forEach(target => {
+    const summaryRow = summary[target];
+    const row = document.createElement("tr");
+    addCell(row, "th", target);
+    labels.forEach(seen => {
+      const share = summaryRow.samples ? Math.round(summaryRow.confusion[seen] / summaryRow.samples * 100) : 0;
+      addCell(row, "td", `${share}%`, seen === target ? "hit" : "");
+    });
+    addCell(row, "td", `${Math.round(summaryRow.accuracy * 100)}%`);
+    addCell(row, "td", extraValue(target));
+    table.appendChild(row);
+  });
+}
+
+function saveCalibration() {
+  const name = document.getElementById("playerName").value.trim();
+  if (!calibration || !calibration.isDone() || !name) return;
+
+  const profile = playerProfiles.save(name, {
+    stabilizer: { classThresholds: calibration.deriveThresholds() },
+    calibration: { date: new Date().toISOString(), summary: calibration.getSummary() }
+  });
+  playerProfiles.setCurrent(name);
+  applyPlayerProfile(profile);
+  closeCalibration();
+}
+
+/**
+ * Skip: keep (or switch to) the typed player's saved profile
+ */
+function closeCalibration() {
+  const name = document.getElementById("playerName").value.trim();
+  if (name) {
+    playerProfiles.setCurrent(name);
+    applyPlayerProfile(playerProfiles.get(name) || { name });
+  }
+  calibration = null;
+  document.getElementById("calibration-panel").style.display = "none";
+}
+
+/**
+ * Training screen: record camera samples per class, retrain the classifier
+ * in the browser, then use it right away or export it like my_model/
+ */
+function openTraining() {
+  const labels = trainer ? trainer.labels : poseEngine.model.getClassLabels();
+  document.getElementById("trainingLabels").value = labels.join(", ");
+  if (!trainer) setTrainingLabels(labels.join(","));
+  else renderTrainingClasses();
+  document.getElementById("training-panel").style.display = "flex";
+}
+
+function setTrainingLabels(text) {
+  const input = document.getElementById("trainingLabels");
+  const labels = text.split(",").map(label => label.trim()).filter(Boolean);
+  const hasSamples = trainer && Object.values(trainer.getCounts()).some(count => count > 0);
+  if (hasSamples && !confirm("Changing the classes discards the recorded samples. Continue?")) {
+    input.value = trainer.labels.join(", ");
+    return;
+  }
+
+  trainer = new PoseTrainer(labels, { metadata: poseEngine.model.getMetadata() });
+  input.value = labels.join(", ");
+  document.getElementById("training-summary").innerHTML = "";
+  document.getElementById("training-status").innerText = "Hold a pose and press Record. Each class needs at least 10 samples.";
+  document.getElementById("useTrainedBtn").disabled = true;
+  document.getElementById("exportTrainedBtn").disabled = true;
+  renderTrainingClasses();
+}
+
+function renderTrainingClasses() {
+  const container = document.getElementById("training-classes");
+  container.innerHTML = "";
+  trainingCountEls = {};
+  const counts = trainer.getCounts();
+
+  trainer.labels.forEach(label => {
+    const row = document.createElement("div");
+    row.className = "training-class";
+
+    const count = document.createElement("span");
+    count.innerText = `${counts[label]} samples`;
+    trainingCountEls[label] = count;
+
+    const recordBtn = document.createElement("button");
+    recordBtn.type = "button";
+    recordBtn.innerText = trainer.recordingLabel === label ? "⏹ Stop" : "⏺ Record";
+    recordBtn.addEventListener("click", () => toggleTrainingRecording(label));
+
+    const clearBtn = document.createElement("button");
+    clearBtn.type = "button";
+    clearBtn.innerText = "Clear";
+    clearBtn.addEventListener("click", () => {
+      trainer.clear(label);
+      renderTrainingClasses();
+    });
+
+    row.append(`${label}: `, count, recordBtn, clearBtn);
+    container.appendChild(row);
+  });
+}
+
+function toggleTrainingRecording(label) {
+  if (trainer.recordingLabel === label) trainer.stopRecording();
+  else trainer.startRecording(label);
+  renderTrainingClasses();
+}
+
+function updateTrainingCounts() {
+  const counts = trainer.getCounts();
+  for (const [label, el] of Object.entries(trainingCountEls)) el.innerText = `${counts[label]} samples`;
+}
+
+async function trainModel() {
+  const status = document.getElementById("training-status");
+  const trainBtn = document.getElementById("trainBtn");
+  trainer.stopRecording();
+  renderTrainingClasses();
+
+  const epochs = 50;
+  trainBtn.disabled = true;
+  try {
+    status.innerText = "Training...";
+    const summary = await trainer.train({ epochs }, (epoch, logs) => {
+      status.innerText = `Training... epoch ${epoch + 1}/${epochs} (loss ${logs.loss.toFixed(3)})`;
+    });
+    fillConfusionTable(document.getElementById("training-summary"), trainer.labels, summary, "Held-out", (target) => summary[target].samples);
+
+    const weak = trainer.labels.filter(label => summary[label].accuracy < 0.8);
+    status.innerText = weak.length
+      ? `Trained. Weak classes: ${weak.join(", ")} - record more varied samples for these.`
+      : "Trained. All classes were recognised well on held-out samples.";
+    document.getElementById("useTrainedBtn").disabled = false;
+    document.getElementById("exportTrainedBtn").disabled = false;
+  } catch (error) {
+    console.error("Training failed:", error);
+    status.innerText = `⚠️ ${error.message}`;
+  }
+  trainBtn.disabled = false;
+}
+
+/**
+ * Swap the trained model in (validated and remembered like a loaded model)
+ */
+async function useTrainedModel() {
+  try {
+    const files = await trainer.toFiles();
+    await loadModelFiles([files.model, files.weights, files.metadata]);
+  } catch (error) {
+    console.error("Using the trained model failed:", error);
+    document.getElementById("training-status").innerText = `⚠️ ${error.message}`;
+  }
+}
+
+async function exportTrainedModel() {
+  try {
+    const files = await trainer.toFiles();
+    [files.model, files.metadata, files.weights].forEach(file => {
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(file);
+      link.download = file.name;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    });
+  } catch (error) {
+    console.error("Trained model export failed:", error);
+    document.getElementById("training-status").innerText = `⚠️ ${error.message}`;
+  }
+}
+
+function closeTraining() {
+  if (trainer) trainer.stopRecording();
+  document.getElementById("training-panel").style.display = "none";
+}
+
+function applyPlayerProfile(profile) {
+  document.getElementById("current-player").innerText = `Player: ${profile ? profile.name : "-"}`;
+  if (!stabilizer) return;
+  const thresholds = profile && profile.stabilizer ? profile.stabilizer.classThresholds : {};
+  stabilizer.setClassThresholds(thresholds || {});
+}
+
+/**
+ * Stabilizer strategy selector (remembered across sessions)
+ */
+function setupStabilizerSelect() {
+  const select = document.getElementById("stabilizerSelect");
+  PredictionStabilizer.getStrategyNames().forEach(name => {
+    const option = document.createElement("option");
+    option.value = name;
+    option.innerText = `Stabilizer: ${name}`;
+    select.appendChild(option);
+  });
+  select.value = localStorage.getItem("stabilizerStrategy") || "majority";
+  select.addEventListener("change", () => {
+    localStorage.setItem("stabilizerStrategy", select.value);
+    if (stabilizer) stabilizer.setStrategy(select.value);
+  });
+}
+
+/**
+ * Lanes (TM classes) or Analog (keypoint) basket control
+ */
+function setControlMode(control) {
+  const analog = control === "analog";
+  inputManager.setEnabled("pose", !analog);
+  inputManager.setEnabled("analog", analog);
+  document.getElementById("analog-options").style.display = analog ? "flex" : "none";
+  setupInputPanel();
+}
+
+function setAnalogAnchor(anchor) {
+  analogControl.setAnchor(anchor);
+}
+
+/**
+ * Ask the player to sweep left-right for a few seconds and store the range
+ */
+function calibrateAnalog() {
+  const calibrateBtn = document.getElementById("calibrateBtn");
+  if (!poseEngine || !poseEngine.isRunning) {
+    alert("Turn the camera on first.");
+    return;
+  }
+
+  let remaining = 5;
+  calibrateBtn.disabled = true;
+  analogControl.startCalibration();
+  const tick = () => {
+    if (remaining > 0) {
+      calibrateBtn.innerText = `Move left ↔ right... ${remaining}`;
+      remaining--;
+      setTimeout(tick, 1000);
+      return;
+    }
+    const ok = analogControl.finishCalibration();
+    calibrateBtn.disabled = false;
+    calibrateBtn.innerText = "Calibrate";
+    if (!ok) alert("Calibration failed: move further to each side while staying in view.");
+  };
+  tick();
+}
+
+function getLaneCount() {
+  return Number(laneSelect.value) || 3;
+}
+
+/**
+ * Change the number of lanes (remembered across sessions)
+ */
+function setLaneCount(value) {
+  localStorage.setItem("laneCount", value);
+  buildTouchControls(getLaneCount());
+  if (labelMapping) {
+    labelMapping.setLanes(getLaneCount());
+    renderLabelMapping();
+  }
+}
+
+/**
+ * One touch button per lane
+ */
+function buildTouchControls(lanes) {
+  const container = document.getElementById("touch-controls");
+  container.innerHTML = "";
+  for (let i = 0; i < lanes; i++) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.dataset.pose = `lane:${i}`;
+    button.innerText = i === 0 ? "⬅️" : i === lanes - 1 ? "➡️" : `${i + 1}`;
+    container.appendChild(button);
+  }
+}
+
+/**
+ * Action select per model class, plus warnings for lanes no class reaches
+ */
+function renderLabelMapping() {
+  const panel = document.getElementById("label-mapping");
+  panel.innerHTML = "";
+  labelMapping.labels.forEach(label => {
+    const row = document.createElement("label");
+    row.className = "label-binding";
+
+    const select = document.createElement("select");
+    labelMapping.getActions().forEach(({ action, name }) => {
+      const option = document.createElement("option");
+      option.value = action;
+      option.innerText = name;
+      select.appendChild(option);
+    });
+    select.value = labelMapping.resolve(label);
+    select.addEventListener("change", () => {
+      labelMapping.bind(label, select.value);
+      renderMappingWarnings();
+    });
+
+    row.append(`${label} → `, select);
+    panel.appendChild(row);
+  });
+  renderMappingWarnings();
+}
+
+function renderMappingWarnings() {
+  const warnings = labelMapping.validate();
+  warnings.forEach(warning => console.warn("Label mapping:", warning));
+  document.getElementById("mapping-warnings").innerText = warnings.map(w => `⚠️ ${w}`).join("\n");
+}
+
+/**
+ * Register input sources and build the input settings panel
+ */
+function setupInputs() {
+  inputManager = new InputManager();
+  inputManager.setActionCallback((value, sourceId) => {
+    if (value === "pause") {
+      togglePauseGame();
+      return;
+    }
+    if (!gameEngine || !gameEngine.isGameActive) return;
+    // Analog sources send a basket x (0-100), the rest a lane or "powerup"
+    if (typeof value === "number") gameEngine.onBasketXDetected(value, sourceId);
+    else gameEngine.onPoseDetected(value, sourceId);
+    if (workout) countFitnessMove(value);
+  });
+  inputManager.setActiveSourceCallback((source) => {
+    document.getElementById("active-input").innerText = `Input: ${source ? source.name : "-"}`;
+  });
+
+  // Higher priority wins for a moment after it is used
+  poseSource = inputManager.register(new PoseInputSource(), { priority: 10 });
+  analogSource = inputManager.register(new PoseInputSource({ id: "analog", name: "Camera Keypoint" }), {
+    priority: 10,
+    enabled: false
+  });
+  inputManager.register(new GamepadInputSource(), { priority: 20 });
+  inputManager.register(new KeyboardInputSource(), { priority: 30 });
+  inputManager.register(new TouchInputSource(document.getElementById("touch-controls")), {
+    priority: 30,
+    enabled: navigator.maxTouchPoints > 0
+  });
+  inputManager.register(new ScriptedInputSource([
+    { pose: "Left", hold: 1200 },
+    { pose: "Center", hold: 1200 },
+    { pose: "Right", hold: 1200 },
+    { pose: "Center", hold: 1200 }
+  ], { name: "Auto Play (test)" }), { priority: 40, enabled: false });
+
+  analogControl = new AnalogControl({ anchor: document.getElementById("anchorSelect").value });
+  setupInputPanel();
+}
+
+/**
+ * Enable toggle + priority per source
+ */
+function setupInputPanel() {
+  const panel = document.getElementById("input-sources");
+  panel.innerHTML = "";
+  inputManager.list().forEach(({ id, name, enabled, priority }) => {
+    const row = document.createElement("label");
+    row.className = "input-source";
+
+    const toggle = document.createElement("input");
+    toggle.type = "checkbox";
+    toggle.checked = enabled;
+    toggle.addEventListener("change", () => inputManager.setEnabled(id, toggle.checked));
+
+    const priorityInput = document.createElement("input");
+    priorityInput.type = "number";
+    priorityInput.value = priority;
+    priorityInput.title = "Priority (higher wins)";
+    priorityInput.addEventListener("change", () => inputManager.setPriority(id, Number(priorityInput.value)));
+
+    row.append(toggle, ` ${name} `, priorityInput);
+    panel.appendChild(row);
+  });
+}
+
+/**
+ * End the current run but keep the camera on (the only way out of Zen)
+ */
+function endGame() {
+  if (gameEngine && gameEngine.isGameActive && !gameEngine.isReplaying) gameEngine.stop("Quit");
+}
+
+/**
+ * Pause button, Esc/P and the mapped "Pause" class. Resuming counts down
+ * so the player has time to get back into position.
+ */
+function togglePauseGame() {
+  if (!gameEngine || !gameEngine.isGameActive || gameEngine.isReplaying) return;
+  if (gameEngine.pauseReason === "rest") return; // the workout ends the rest
+  gameEngine.togglePause(RESUME_COUNTDOWN_MS);
+}
+
+function resumeGame() {
+  if (gameEngine && !gameEngine.isReplaying && gameEngine.pauseReason !== "rest") gameEngine.resume(RESUME_COUNTDOWN_MS);
+}
+
+/**
+ * Auto-pause while the player is out of the camera frame (PoseNet keypoint
+ * scores, see presenceDetector.js) and count down once they are back.
+ * A manual pause is left alone.
+ */
+function handlePresenceChange(isPresent) {
+  if (!gameEngine || !gameEngine.isGameActive || gameEngine.isReplaying || !usesCameraInput()) return;
+  if (!isPresent) gameEngine.pause("absent");
+  else if (gameEngine.isPaused && gameEngine.pauseReason === "absent") gameEngine.resume(RESUME_COUNTDOWN_MS);
+}
+
+/**
+ * Pause right away if the camera-steered player can't be seen
+ */
+function checkCameraPlayer() {
+  if (!usesCameraInput()) return;
+  if (poseEngine.isCameraLost) handleCameraLost();
+  else if (!poseEngine.presence.isPresent) handlePresenceChange(false);
+}
+
+/**
+ * Is the basket being steered by the camera (not by keys, touch or a gamepad)?
+ */
+function usesCameraInput() {
+  const id = inputManager.activeSourceId;
+  return !!poseEngine && poseEngine.isRunning && (id === null || id === poseSource.id || id === analogSource.id);
+}
+
+function stop() {
+  if (replayPlayer && replayPlayer.replay) stopReplay();
+  if (poseEngine) poseEngine.stop();
+  setCameraStatus("");
+  document.getElementById("inference-stats").innerText = "";
+  if (gameEngine && gameEngine.isGameActive) gameEngine.stop("Quit");
+  if (gameLoop) gameLoop.stop();
+  document.getElementById("startBtn").disabled = false;
+  document.getElementById("startBtn").innerText = "Camera On";
+  document.getElementById("startBtn").style.display = "inline-block";
+  document.getElementById("stopBtn").disabled = true;
+  document.getElementById("restartCameraBtn").disabled = true;
+  document.getElementById("playerCalibrationBtn").disabled = true;
+  document.getElementById("trainingBtn").disabled = true;
+  closeCalibration();
+  closeTraining();
+  gameStartBtn.disabled = false;
+}
+
+/**
+ * Replay: play the last run (or a loaded file)
+ */
+function watchReplay(replay = lastReplay) {
+  ensureGameEngine();
+  if (!replay || (gameEngine.isGameActive && !gameEngine.isReplaying)) return;
+
+  replayPlayer.load(replay);
+  replayLoop.start();
+
+  const seekBar = document.getElementById("replaySeek");
+  seekBar.max = replayPlayer.getTotalSteps();
+  document.getElementById("replay-controls").style.display = "flex";
+  document.getElementById("replayPauseBtn").innerText = "Pause";
+  updateReplayControls();
+}
+
+function toggleReplayPause() {
+  replayPlayer.togglePause();
+  document.getElementById("replayPauseBtn").innerText = replayPlayer.isPaused ? "Play" : "Pause";
+}
+
+function seekReplay(step) {
+  replayPlayer.seek(Number(step));
+  if (!replayLoop.frameId) replayLoop.start();
+  updateReplayControls();
+}
+
+function setReplaySpeed(speed) {
+  replayPlayer.setSpeed(Number(speed));
+}
+
+function stopReplay() {
+  replayLoop.stop();
+  replayPlayer.stop();
+  clearGameArea();
+  document.getElementById("replay-controls").style.display = "none";
+}
+
+function onReplayEnd() {
+  replayPlayer.pause();
+  document.getElementById("replayPauseBtn").innerText = "Play";
+  updateReplayControls();
+}
+
+function updateReplayControls() {
+  const step = replayPlayer.getCurrentStep();
+  const total = replayPlayer.getTotalSteps();
+  const toSeconds = (steps) => (steps * FIXED_STEP_MS / 1000).toFixed(1);
+  document.getElementById("replaySeek").value = step;
+  document.getElementById("replayTime").innerText = `${toSeconds(step)}s / ${toSeconds(total)}s`;
+}
+
+/**
+ * Replay: download the last run as JSON
+ */
+function saveReplay() {
+  if (!lastReplay) return;
+  const blob = new Blob([JSON.stringify(lastReplay)], { type: "application/json" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `replay-${lastReplay.config.seed}-${lastReplay.result.score}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Replay: load a JSON file chosen by the user and play it
+ */
+function loadReplay(input) {
+  const file = input.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      lastReplay = ReplayPlayer.parse(reader.result);
+      document.getElementById("saveReplayBtn").disabled = false;
+      document.getElementById("watchReplayBtn").disabled = false;
+      watchReplay(lastReplay);
+    } catch (error) {
+      alert("Invalid replay file: " + error.message);
+    }
+  };
+  reader.readAsText(file);
+  input.value = "";
+}
+
+/**
+ * Prediction Handler
+ */
+function handlePrediction(predictions, pose, posenetOutput) {
+  if (poseEngine.scheduler.predictions % 15 === 0) updateInferenceStats();
+
+  // 0. Calibration wizard / training samples
+  if (calibration && !calibration.isDone()) {
+    calibration.update(predictions);
+    renderCalibrationStatus();
+  }
+  if (trainer && trainer.recordingLabel) {
+    trainer.update(posenetOutput);
+    updateTrainingCounts();
+  }
+
+  // 1. Stabilize
+  const stabilized = stabilizer.stabilize(predictions);
+
+  // 2. Debug UI
+  for (let i = 0; i < predictions.length; i++) {
+    const classPrediction =
+      predictions[i].className + ": " + predictions[i].probability.toFixed(2);
+    labelContainer.childNodes[i].innerText = classPrediction; // class names come from user-supplied models
+  }
+
+  const maxDiv = document.getElementById("max-prediction");
+  maxDiv.innerText = stabilized.className || "-";
+  document.getElementById("stabilizer-state").innerText = JSON.stringify(stabilizer.getState());
+
+  // 3. Game Input (mapped class action, or keypoint position in analog control)
+  handleMappedAction(labelMapping.resolve(stabilized.className));
+  const x = analogControl.update(pose);
+  if (x !== null) analogSource.push(x);
+
+  // 4. Fitness mode: body movement from the keypoints
+  if (workout && gameEngine.isGameActive && !gameEngine.isPaused) fitnessTracker.updatePose(pose);
+}
+
+/**
+ * Lane actions are sent every frame (like the raw labels were); power-up
+ * and pause only fire when the player switches into that pose
+ */
+function handleMappedAction(action) {
+  const isNew = action !== lastMappedAction;
+  lastMappedAction = action;
+  if (!action || action === "idle") return;
 
-  // 3. Game Input
-  if (gameEngine && gameEngine.isGameActive && stabilized.className) {
-    gameEngine.onPoseDetected(stabilized.className);
+  if (action === "pause") {
+    if (isNew) togglePauseGame();
+  } else if (action === "powerup") {
+    if (isNew) poseSource.push(action);
+  } else {
+    poseSource.push(action);
   }
 }
 
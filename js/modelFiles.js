@@ -0,0 +1,153 @@
+/**
+ * modelFiles.js
+ * 로컬 파일(model.json, metadata.json, weights.bin)로 TM 포즈 모델 불러오기 전 검증
+ *
+ * 파일 이름이 바뀌어 있어도 내용으로 구분합니다:
+ * - labels 가 있는 JSON → metadata.json
+ * - modelTopology 가 있는 JSON → model.json
+ * - .bin → weights.bin
+ */
+
+// tmPose가 지원하는 PoseNet 설정
+const POSENET_ARCHITECTURES = {
+  MobileNetV1: { outputStrides: [8, 16, 32], multipliers: [0.5, 0.75, 1] },
+  ResNet50: { outputStrides: [16, 32], multipliers: null }
+};
+
+class ModelFiles {
+  /**
+   * 선택/드롭된 파일 분류 + 검증
+   * @param {FileList|Array<File>} fileList
+   * @returns {Promise<Object>} { model, weights, metadata (File), info: { name, labels, architecture } }
+   */
+  static async fromFiles(fileList) {
+    const files = Array.from(fileList);
+    const errors = [];
+    let model = null;
+    let weights = null;
+    let metadata = null;
+    let modelJson = null;
+    let metadataJson = null;
+
+    for (const file of files) {
+      if (/\.bin$/i.test(file.name)) {
+        weights = file;
+        continue;
+      }
+      if (!/\.json$/i.test(file.name)) {
+        errors.push(`${file.name}: not a model file`);
+        continue;
+      }
+
+      let json;
+      try {
+        json = JSON.parse(await file.text());
+      } catch (e) {
+        errors.push(`${file.name}: invalid JSON (${e.message})`);
+        continue;
+      }
+      if (json && Array.isArray(json.labels)) {
+        metadata = file;
+        metadataJson = json;
+      } else if (json && json.modelTopology) {
+        model = file;
+        modelJson = json;
+      } else {
+        errors.push(`${file.name}: neither model.json nor metadata.json`);
+      }
+    }
+
+    if (!model) errors.push("model.json is missing");
+    if (!metadata) errors.push("metadata.json is missing");
+    if (!weights) errors.push("weights.bin is missing");
+    if (metadataJson) errors.push(...ModelFiles.validateMetadata(metadataJson));
+    if (modelJson && metadataJson) errors.push(...ModelFiles.validateModel(modelJson, metadataJson));
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid model files:\n- ${errors.join("\n- ")}`);
+    }
+
+    return {
+      model,
+      weights,
+      metadata,
+      info: ModelFiles.describe(metadataJson)
+    };
+  }
+
+  /**
+   * metadata.json 검증 (라벨 목록, PoseNet 설정)
+   * @returns {Array<string>} 오류 메시지
+   */
+  static validateMetadata(metadata) {
+    const errors = [];
+    if (metadata.packageName && metadata.packageName !== "@teachablemachine/pose") {
+      errors.push(`metadata.json is for ${metadata.packageName}, not a pose model`);
+    }
+
+    const labels = metadata.labels;
+    if (!Array.isArray(labels) || labels.length < 2) {
+      errors.push("labels must list at least 2 classes");
+    } else {
+      if (labels.some(label => typeof label !== "string" || label.trim() === "")) {
+        errors.push("labels must be non-empty strings");
+      }
+      if (new Set(labels).size !== labels.length) errors.push("labels must be unique");
+    }
+
+    const posenet = metadata.modelSettings && metadata.modelSettings.posenet;
+    if (!posenet) {
+      errors.push("modelSettings.posenet is missing");
+      return errors;
+    }
+    const arch = POSENET_ARCHITECTURES[posenet.architecture];
+    if (!arch) {
+      errors.push(`modelSettings.posenet.architecture must be one of ${Object.keys(POSENET_ARCHITECTURES).join(", ")}`);
+      return errors;
+    }
+    if (!arch.outputStrides.includes(posenet.outputStride)) {
+      errors.push(`modelSettings.posenet.outputStride must be one of ${arch.outputStrides.join(", ")} for ${posenet.architecture}`);
+    }
+    if (arch.multipliers && !arch.multipliers.includes(posenet.multiplier)) {
+      errors.push(`modelSettings.posenet.multiplier must be one of ${arch.multipliers.join(", ")}`);
+    }
+    if (typeof posenet.inputResolution !== "number" || posenet.inputResolution <= 0) {
+      errors.push("modelSettings.posenet.inputResolution must be a positive number");
+    }
+    return errors;
+  }
+
+  /**
+   * model.json 검증 (가중치 목록, 출력 클래스 수 = 라벨 수)
+   */
+  static validateModel(model, metadata) {
+    const errors = [];
+    if (!Array.isArray(model.weightsManifest) || model.weightsManifest.length === 0) {
+      errors.push("model.json has no weightsManifest");
+    }
+
+    // 마지막 Dense 층의 units 가 클래스 수
+    const layers = (model.modelTopology.config && model.modelTopology.config.layers) || [];
+    const units = layers.map(layer => layer.config && layer.config.units).filter(Number.isInteger);
+    const outputs = units[units.length - 1];
+    if (outputs !== undefined && Array.isArray(metadata.labels) && outputs !== metadata.labels.length) {
+      errors.push(`model.json predicts ${outputs} classes but metadata.json lists ${metadata.labels.length} labels`);
+    }
+    return errors;
+  }
+
+  /**
+   * 목록/상태 표시용 요약
+   */
+  static describe(metadata) {
+    return {
+      name: metadata.modelName || "Untitled model",
+      labels: metadata.labels.slice(),
+      architecture: metadata.modelSettings.posenet.architecture
+    };
+  }
+}
+
+// 브라우저 전역 + CommonJS 내보내기 (Node에서 헤드리스로 사용)
+globalThis.ModelFiles = ModelFiles;
+if (typeof module !== "undefined") module.exports = ModelFiles;
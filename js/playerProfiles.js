@@ -0,0 +1,95 @@
+/**
+ * playerProfiles.js
+ * Per-player settings saved in localStorage
+ *
+ * Profile shape:
+ * {
+ *   name: "Minji",
+ *   stabilizer: { classThresholds: { Left: 0.72, Center: 0.8, Right: 0.68 } },
+ *   calibration: { date, summary },  // last calibration result
+ *   adaptiveRuns: [                  // latest runs with adaptive difficulty
+ *     { date, mode, stage, score, level, durationMs, final, log }
+ *   ],
+ *   fitnessSessions: [               // Fitness mode sessions (weekly totals: WorkoutSession.weeklyTotals)
+ *     { date, program, programName, score, playMs, activeMs, laneChanges, sweeps,
+ *       intensity, completed, targets, targetsMet, intervals }
+ *   ]
+ * }
+ */
+
+const PROFILES_KEY = "playerProfiles";
+const CURRENT_PLAYER_KEY = "currentPlayer";
+const MAX_ADAPTIVE_RUNS = 20;
+const MAX_FITNESS_SESSIONS = 200;
+
+class PlayerProfiles {
+  constructor(storage = localStorage) {
+    this.storage = storage;
+  }
+
+  getAll() {
+    try {
+      return JSON.parse(this.storage.getItem(PROFILES_KEY) || "{}");
+    } catch (e) {
+      console.warn("Invalid player profile data:", e);
+      return {};
+    }
+  }
+
+  list() {
+    return Object.values(this.getAll()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  get(name) {
+    return this.getAll()[name] || null;
+  }
+
+  /**
+   * Merge changes into a profile (created when missing)
+   */
+  save(name, changes = {}) {
+    if (!name) throw new Error("Player name is required");
+    const profiles = this.getAll();
+    profiles[name] = { ...(profiles[name] || {}), ...changes, name };
+    this.storage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+    return profiles[name];
+  }
+
+  /**
+   * Keep how adaptive difficulty played out in a run (oldest dropped first)
+   */
+  addAdaptiveRun(name, run) {
+    const runs = (this.get(name) || {}).adaptiveRuns || [];
+    return this.save(name, { adaptiveRuns: [...runs, run].slice(-MAX_ADAPTIVE_RUNS) });
+  }
+
+  /**
+   * Keep a finished workout (oldest dropped first)
+   */
+  addFitnessSession(name, session) {
+    const sessions = (this.get(name) || {}).fitnessSessions || [];
+    return this.save(name, { fitnessSessions: [...sessions, session].slice(-MAX_FITNESS_SESSIONS) });
+  }
+
+  remove(name) {
+    const profiles = this.getAll();
+    delete profiles[name];
+    this.storage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+    if (this.getCurrentName() === name) this.storage.removeItem(CURRENT_PLAYER_KEY);
+  }
+
+  getCurrentName() {
+    return this.storage.getItem(CURRENT_PLAYER_KEY) || "";
+  }
+
+  getCurrent() {
+    return this.get(this.getCurrentName());
+  }
+
+  setCurrent(name) {
+    if (name) this.storage.setItem(CURRENT_PLAYER_KEY, name);
+    else this.storage.removeItem(CURRENT_PLAYER_KEY);
+  }
+}
+
+window.PlayerProfiles = PlayerProfiles;
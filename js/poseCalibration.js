@@ -0,0 +1,158 @@
+/**
+ * poseCalibration.js
+ * 플레이어별 포즈 보정: 각 포즈를 몇 초간 유지하게 하고 예측 분포를 기록
+ *
+ * 진행 순서 (클래스마다 반복):
+ *   prepare (settleMs 동안 자세 잡기, 기록 안 함) → record (holdMs 동안 기록)
+ * 끝나면 혼동 행렬(confusion) 요약과 클래스별 안정화 임계값을 계산합니다.
+ */
+
+class PoseCalibration {
+  /**
+   * @param {Array<string>} labels - 모델 클래스 이름 (metadata.json labels)
+   * @param {Object} options - { settleMs, holdMs, now }
+   */
+  constructor(labels, options = {}) {
+    this.labels = labels;
+    this.settleMs = options.settleMs || 1500;
+    this.holdMs = options.holdMs || 3000;
+    this.now = options.now || (() => performance.now());
+
+    this.stepIndex = -1;
+    this.phase = "idle"; // idle | prepare | record | done
+    this.phaseStart = 0;
+    this.samples = {}; // target -> [{ className: probability }, ...]
+    this.onStepChange = null; // (state) => void
+  }
+
+  /**
+   * 보정 시작
+   */
+  begin() {
+    this.samples = {};
+    this.labels.forEach(label => { this.samples[label] = []; });
+    this.stepIndex = 0;
+    this.setPhase("prepare");
+  }
+
+  /**
+   * 예측 한 프레임 처리 (PoseEngine 예측 콜백에서 호출)
+   * @param {Array} predictions - [{ className, probability }]
+   */
+  update(predictions) {
+    if (this.phase === "idle" || this.phase === "done") return;
+
+    const elapsed = this.now() - this.phaseStart;
+    if (this.phase === "prepare") {
+      if (elapsed >= this.settleMs) this.setPhase("record");
+      return;
+    }
+
+    // record
+    const frame = {};
+    predictions.forEach(p => { frame[p.className] = p.probability; });
+    this.samples[this.getTarget()].push(frame);
+
+    if (elapsed >= this.holdMs) {
+      this.stepIndex++;
+      this.setPhase(this.stepIndex < this.labels.length ? "prepare" : "done");
+    }
+  }
+
+  setPhase(phase) {
+    this.phase = phase;
+    this.phaseStart = this.now();
+    if (this.onStepChange) this.onStepChange(this.getState());
+  }
+
+  getTarget() {
+    return this.labels[this.stepIndex] || null;
+  }
+
+  /**
+   * 현재 진행 상태 (UI 표시용)
+   */
+  getState() {
+    const duration = this.phase === "prepare" ? this.settleMs : this.holdMs;
+    const elapsed = this.now() - this.phaseStart;
+    return {
+      phase: this.phase,
+      target: this.getTarget(),
+      step: this.stepIndex + 1,
+      totalSteps: this.labels.length,
+      remainingMs: Math.max(0, duration - elapsed)
+    };
+  }
+
+  isDone() {
+    return this.phase === "done";
+  }
+
+  /**
+   * 혼동 요약
+   * @returns {Object} { [target]: { samples, accuracy, meanProbability, confusion: { [predicted]: count } } }
+   */
+  getSummary() {
+    const summary = {};
+    this.labels.forEach(target => {
+      const frames = this.samples[target] || [];
+      const confusion = {};
+      this.labels.forEach(label => { confusion[label] = 0; });
+
+      let targetProbSum = 0;
+      frames.forEach(frame => {
+        let best = null;
+        for (const label of this.labels) {
+          if (best === null || (frame[label] || 0) > (frame[best] || 0)) best = label;
+        }
+        confusion[best]++;
+        targetProbSum += frame[target] || 0;
+      });
+
+      summary[target] = {
+        samples: frames.length,
+        accuracy: frames.length ? confusion[target] / frames.length : 0,
+        meanProbability: frames.length ? targetProbSum / frames.length : 0,
+        confusion
+      };
+    });
+    return summary;
+  }
+
+  /**
+   * 클래스별 임계값 계산
+   * 해당 포즈를 취했을 때의 확률(하위 20%)과 다른 포즈일 때 잘못 나온
+   * 확률(상위 5%)의 중간값을 쓰고, 0.5~0.95 범위로 제한합니다.
+   * @returns {Object} { [className]: threshold }
+   */
+  deriveThresholds() {
+    const thresholds = {};
+    this.labels.forEach(label => {
+      const genuine = (this.samples[label] || []).map(f => f[label] || 0);
+      const impostor = [];
+      this.labels.forEach(other => {
+        if (other === label) return;
+        (this.samples[other] || []).forEach(f => impostor.push(f[label] || 0));
+      });
+      if (genuine.length === 0) return;
+
+      const low = PoseCalibration.percentile(genuine, 0.2);
+      const high = impostor.length ? PoseCalibration.percentile(impostor, 0.95) : 0;
+      const threshold = high < low ? (low + high) / 2 : low;
+      thresholds[label] = Math.round(Math.min(0.95, Math.max(0.5, threshold)) * 100) / 100;
+    });
+    return thresholds;
+  }
+
+  static percentile(values, p) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.floor(p * sorted.length));
+    return sorted[index];
+  }
+
+  setStepChangeCallback(cb) { this.onStepChange = cb; }
+}
+
+// 브라우저 전역 + CommonJS 내보내기 (Node에서 헤드리스로 사용)
+globalThis.PoseCalibration = PoseCalibration;
+if (typeof module !== "undefined") module.exports = PoseCalibration;
@@ -3,39 +3,67 @@
  * 웹캠 + TM 포즈 모델 로딩 및 예측(label) 생성 담당
  *
  * Teachable Machine 포즈 모델을 로드하고 웹캠에서 실시간 포즈 인식을 수행
+ * 모델은 URL 폴더 또는 로컬 파일({ model, weights, metadata })에서 불러올 수 있고,
+ * 실행 중에도 loadModel()로 교체할 수 있습니다.
+ * 키포인트 신뢰도로 플레이어가 화면을 벗어났는지도 알려줍니다 (PresenceDetector).
+ *
+ * 웹캠은 카메라(deviceId), 해상도, 좌우 반전을 골라 켤 수 있고
+ * startWebcam()으로 모델과 예측 루프를 유지한 채 다시 켤 수 있습니다.
+ * 게임 중 카메라가 뽑히면(트랙 ended) 예측을 멈추고 onCameraLost로 알립니다.
+ *
+ * 예측은 화면 프레임마다 기다리지 않고 InferenceScheduler가 정한 빈도로만
+ * 돌립니다 (게임 렌더링이 느려지면 빈도를 낮춤). 포즈 추정은 선택적으로
+ * Web Worker(poseWorker.js)에서 하고, 워커가 실패하면 메인 스레드로 돌아옵니다.
  */
 
+const POSE_WORKER_URL = "./js/poseWorker.js";
+
 class PoseEngine {
-  constructor(modelURL = "./my_model/") {
-    this.modelURL = modelURL;
+  /**
+   * @param {string|Object} modelSource - 모델 폴더 URL 또는 { model, weights, metadata } 파일
+   */
+  constructor(modelSource = "./my_model/") {
+    this.modelSource = modelSource;
     this.model = null;
     this.webcam = null;
+    this.cameraOptions = { size: 200, flip: true, deviceId: null };
+    this.isCameraLost = false; // 켜져 있어야 할 카메라가 없음 (연결 끊김, 다시 켜기 실패)
     this.maxPredictions = 0;
     this.isRunning = false;
     this.animationId = null;
+    this.pendingPrediction = null; // 진행 중인 예측 (모델 교체 시 기다림)
     this.onPrediction = null; // 예측 결과 콜백
     this.onDraw = null; // 그리기 콜백
+    this.presence = new PresenceDetector();
+    this.onPresenceChange = null; // 화면 안/밖 전환 콜백
+    this.onCameraLost = null; // 카메라 연결 끊김 콜백
+    this.scheduler = new InferenceScheduler();
+    this.lastFrameTime = null;
+    this.isSwappingModel = false; // 모델 교체 중에는 예측을 쉼
+    this.worker = null; // 포즈 추정용 Web Worker (null이면 메인 스레드)
+    this.workerRequests = new Map(); // 요청 id -> { resolve, reject }
+    this.workerRequestId = 0;
+    this.onWorkerError = null; // 워커 실패로 메인 스레드로 돌아왔을 때 콜백
+  }
+
+  /**
+   * Web Worker + OffscreenCanvas로 포즈를 추정할 수 있는 브라우저인지
+   */
+  static supportsWorker() {
+    return typeof Worker !== "undefined" && typeof OffscreenCanvas !== "undefined" &&
+      typeof createImageBitmap === "function";
   }
 
   /**
    * 모델과 웹캠 초기화
-   * @param {Object} options - 옵션 { size, flip }
+   * @param {Object} options - 옵션 { size, flip, deviceId }
    */
   async init(options = {}) {
-    const { size = 200, flip = true } = options;
-
     // 모델 로드
-    const modelURL = this.modelURL + "model.json";
-    const metadataURL = this.modelURL + "metadata.json";
-
-    // Teachable Machine 포즈 모델 로드
-    this.model = await tmPose.load(modelURL, metadataURL);
-    this.maxPredictions = this.model.getTotalClasses();
+    await this.loadModel(this.modelSource);
 
     // 웹캠 설정
-    this.webcam = new tmPose.Webcam(size, size, flip);
-    await this.webcam.setup();
-    await this.webcam.play();
+    await this.startWebcam(options);
 
     return {
       maxPredictions: this.maxPredictions,
@@ -43,12 +71,136 @@ class PoseEngine {
     };
   }
 
+  /**
+   * 웹캠 켜기 (이미 켜져 있던 웹캠은 끄고 교체, 모델과 예측 루프는 그대로)
+   * 카메라 오류에는 error.reason(CameraDevices.ERRORS의 키)을 붙여 다시 던집니다.
+   * 저장된 카메라가 없어졌으면 기본 카메라로 한 번 더 시도합니다.
+   * @param {Object} options - { size, flip, deviceId }
+   * @returns {string|null} 실제로 켜진 카메라의 deviceId
+   */
+  async startWebcam(options = {}) {
+    const { size = 200, flip = true, deviceId = null } = { ...this.cameraOptions, ...options };
+
+    // 진행 중인 예측이 끝난 뒤 교체 (루프는 그동안 프레임을 건너뜀)
+    const previous = this.webcam;
+    this.webcam = null;
+    if (this.pendingPrediction) await this.pendingPrediction.catch(() => {});
+    if (previous) previous.stop();
+
+    let webcam;
+    try {
+      if (!CameraDevices.isSupported()) {
+        throw Object.assign(new Error("getUserMedia is not available"), { reason: "unsupported" });
+      }
+      webcam = await this.openWebcam(size, flip, deviceId).catch(error => {
+        if (!deviceId || CameraDevices.classifyError(error) !== "notFound") throw error;
+        console.warn("Saved camera not found, using the default camera:", error);
+        return this.openWebcam(size, flip, null);
+      });
+    } catch (error) {
+      this.isCameraLost = true; // 장치가 바뀌면 다시 시도할 수 있도록
+      const reason = CameraDevices.classifyError(error);
+      // 문자열 같은 원시값으로 거부된 경우에는 속성을 붙일 수 없으므로 Error로 감쌈
+      if (error === null || typeof error !== "object") throw Object.assign(new Error(String(error)), { reason });
+      error.reason = reason;
+      throw error;
+    }
+
+    this.webcam = webcam;
+    this.cameraOptions = { size, flip, deviceId: this.getDeviceId() };
+    this.isCameraLost = false;
+    this.presence.reset();
+    this.watchTrack();
+    return this.cameraOptions.deviceId;
+  }
+
+  /**
+   * webcam.setup() 대신 스트림과 캔버스를 직접 준비 (setup()이 하는 일과 같음).
+   * setup()은 getUserMedia 오류를 문자열로 바꿔서 권한 거부/사용 중/없음을 구분할 수 없습니다.
+   */
+  async openWebcam(size, flip, deviceId) {
+    const webcam = new tmPose.Webcam(size, size, flip);
+    try {
+      webcam.webcam = await CameraDevices.openVideo(deviceId);
+      webcam.canvas = document.createElement("canvas");
+      webcam.canvas.width = size;
+      webcam.canvas.height = size;
+      await webcam.play();
+    } catch (error) {
+      // 스트림을 받은 뒤 실패했으면 카메라를 놓아 줌
+      if (webcam.webcam && webcam.webcam.srcObject) webcam.stop();
+      throw error;
+    }
+    return webcam;
+  }
+
+  /**
+   * 카메라가 뽑히거나 다른 앱에 빼앗기면 비디오 트랙이 ended 됨
+   */
+  watchTrack() {
+    const track = this.getVideoTrack();
+    if (!track) return;
+    const webcam = this.webcam;
+    track.addEventListener("ended", () => {
+      if (this.webcam !== webcam) return; // 이미 교체된 웹캠 (stop() 포함)
+      this.isCameraLost = true;
+      if (this.onCameraLost) this.onCameraLost();
+    });
+  }
+
+  getVideoTrack() {
+    const video = this.webcam && this.webcam.webcam;
+    const stream = video && video.srcObject;
+    return stream ? stream.getVideoTracks()[0] || null : null;
+  }
+
+  /**
+   * 켜져 있는 카메라의 deviceId (알 수 없으면 null)
+   */
+  getDeviceId() {
+    const track = this.getVideoTrack();
+    const settings = track && track.getSettings ? track.getSettings() : {};
+    return settings.deviceId || null;
+  }
+
+  /**
+   * Teachable Machine 포즈 모델 로드 / 교체
+   * 새 모델을 다 불러온 뒤에 바꾸므로 실패하면 기존 모델이 그대로 유지됩니다.
+   * @param {string|Object} source - 모델 폴더 URL 또는 { model, weights, metadata } 파일
+   */
+  async loadModel(source) {
+    const model = typeof source === "string"
+      ? await tmPose.load(source + "model.json", source + "metadata.json")
+      : await tmPose.loadFromFiles(source.model, source.weights, source.metadata);
+
+    // 이전 모델로 진행 중인 예측이 끝난 뒤 교체 (워커도 같은 PoseNet 설정으로)
+    const previous = this.model;
+    this.isSwappingModel = true;
+    try {
+      if (this.pendingPrediction) await this.pendingPrediction.catch(() => {});
+      if (this.worker) {
+        await this.loadWorkerModel(this.worker, source).catch(error => this.handleWorkerFailure(error));
+      }
+    } finally {
+      this.isSwappingModel = false;
+    }
+    this.model = model;
+    this.modelSource = source;
+    this.maxPredictions = model.getTotalClasses();
+    if (previous && previous.dispose) previous.dispose();
+
+    return { maxPredictions: this.maxPredictions, labels: model.getClassLabels() };
+  }
+
   /**
    * 예측 루프 시작
    */
   start() {
     this.isRunning = true;
-    this.loop();
+    this.presence.reset();
+    this.scheduler.reset();
+    this.lastFrameTime = null;
+    this.animationId = window.requestAnimationFrame((timestamp) => this.loop(timestamp));
   }
 
   /**
@@ -62,46 +214,186 @@ class PoseEngine {
     }
 
     if (this.webcam) {
-      this.webcam.stop();
+      const webcam = this.webcam;
+      this.webcam = null; // 끈 웹캠의 ended 이벤트는 무시됨 (watchTrack)
+      webcam.stop();
     }
+    this.stopWorker();
   }
 
   /**
-   * 메인 루프
+   * 메인 루프 (애니메이션 프레임마다, 예측을 기다리지 않음)
    */
-  async loop() {
+  loop(timestamp) {
     if (!this.isRunning) return;
+    if (this.lastFrameTime !== null) this.scheduler.frame(timestamp - this.lastFrameTime);
+    this.lastFrameTime = timestamp;
 
-    this.webcam.update(); // 웹캠 프레임 업데이트
-    await this.predict();
-    this.animationId = window.requestAnimationFrame(() => this.loop());
+    // 카메라/모델을 교체하는 중이거나 연결이 끊겼으면 건너뜀
+    if (this.webcam && !this.isCameraLost && !this.isSwappingModel && this.scheduler.isDue()) {
+      this.webcam.update(); // 웹캠 프레임 업데이트
+      this.runPrediction();
+    }
+    this.animationId = window.requestAnimationFrame((next) => this.loop(next));
+  }
+
+  /**
+   * 예측 한 번 (실패하면 기록만 하고 다음 차례에 다시 시도)
+   */
+  runPrediction() {
+    this.scheduler.begin();
+    const prediction = this.predict().then(
+      ({ timing }) => this.scheduler.end(timing),
+      (error) => {
+        this.scheduler.fail();
+        if (this.isRunning) console.warn("Pose prediction failed:", error);
+      }
+    ).then(() => {
+      if (this.pendingPrediction === prediction) this.pendingPrediction = null;
+    });
+    this.pendingPrediction = prediction;
   }
 
   /**
    * 포즈 예측 수행
+   * @returns {Object} { prediction, pose, timing: { estimateMs, classifyMs } }
    */
   async predict() {
-    // Step 1: PoseNet을 통해 포즈 추정
-    const { pose, posenetOutput } = await this.model.estimatePose(this.webcam.canvas);
+    const start = performance.now();
+
+    // Step 1: PoseNet을 통해 포즈 추정 (워커를 쓰면 워커에서)
+    const { pose, posenetOutput } = this.worker
+      ? await this.estimateInWorker()
+      : await this.model.estimatePose(this.webcam.canvas);
+    const estimated = performance.now();
 
     // Step 2: Teachable Machine 분류 모델로 예측
     const prediction = await this.model.predict(posenetOutput);
+    const timing = { estimateMs: estimated - start, classifyMs: performance.now() - estimated };
+
+    // Step 3: 플레이어가 화면 안에 있는지 (키포인트 신뢰도)
+    if (this.presence.update(pose) && this.onPresenceChange) {
+      this.onPresenceChange(this.presence.isPresent);
+    }
 
-    // 콜백 호출
+    // 콜백 호출 (posenetOutput은 샘플 수집/재학습용)
     if (this.onPrediction) {
-      this.onPrediction(prediction, pose);
+      this.onPrediction(prediction, pose, posenetOutput);
     }
 
     if (this.onDraw && pose) {
       this.onDraw(pose);
     }
 
-    return { prediction, pose };
+    return { prediction, pose, timing };
+  }
+
+  /**
+   * 초당 예측 목표 (렌더링이 느리면 InferenceScheduler가 더 낮춤)
+   */
+  setInferenceRate(fps) {
+    this.scheduler.setTargetFps(fps);
+  }
+
+  /**
+   * 예측 빈도와 단계별 시간 (InferenceScheduler.getStats + 워커 사용 여부)
+   */
+  getInferenceStats() {
+    return { ...this.scheduler.getStats(), worker: !!this.worker };
+  }
+
+  /**
+   * 포즈 추정을 Web Worker에서 할지 정함
+   * 워커가 모델을 다 불러온 뒤에 바꾸므로 실패하면 메인 스레드에서 계속합니다.
+   * @returns {boolean} 워커를 쓰는지
+   */
+  async setUseWorker(enabled) {
+    if (!enabled) {
+      this.stopWorker();
+      return false;
+    }
+    if (this.worker) return true;
+    if (!PoseEngine.supportsWorker()) throw new Error("This browser can't estimate poses in a worker (no OffscreenCanvas)");
+
+    const worker = new Worker(POSE_WORKER_URL);
+    worker.onmessage = (event) => this.handleWorkerMessage(event);
+    worker.onerror = (event) => {
+      event.preventDefault();
+      this.handleWorkerFailure(new Error(event.message || "Pose worker failed"), worker);
+    };
+    try {
+      await this.loadWorkerModel(worker, this.modelSource);
+    } catch (error) {
+      worker.terminate();
+      throw error;
+    }
+    this.worker = worker;
+    return true;
+  }
+
+  stopWorker() {
+    if (!this.worker) return;
+    this.worker.terminate();
+    this.worker = null;
+    // 답을 못 받은 요청은 실패로 끝냄
+    this.workerRequests.forEach(({ reject }) => reject(new Error("Pose worker stopped")));
+    this.workerRequests.clear();
+  }
+
+  loadWorkerModel(worker, source) {
+    // 워커는 js/ 폴더 기준으로 상대 경로를 풀기 때문에 절대 URL로 보냄
+    const message = typeof source === "string"
+      ? { type: "load", source: new URL(source, window.location.href).href }
+      : { type: "load", source: { model: source.model, weights: source.weights, metadata: source.metadata } };
+    return this.requestWorker(worker, message);
+  }
+
+  async estimateInWorker() {
+    const worker = this.worker;
+    const bitmap = await createImageBitmap(this.webcam.canvas);
+    try {
+      return await this.requestWorker(worker, { type: "estimate", bitmap }, [bitmap]);
+    } catch (error) {
+      this.handleWorkerFailure(error, worker);
+      throw error;
+    }
+  }
+
+  requestWorker(worker, message, transfer = []) {
+    const id = ++this.workerRequestId;
+    return new Promise((resolve, reject) => {
+      this.workerRequests.set(id, { resolve, reject, worker });
+      worker.postMessage({ ...message, id }, transfer);
+    });
+  }
+
+  handleWorkerMessage({ data }) {
+    const request = this.workerRequests.get(data.id);
+    if (!request) return;
+    this.workerRequests.delete(data.id);
+    if (data.type === "error") request.reject(new Error(data.message));
+    else request.resolve(data);
+  }
+
+  /**
+   * 워커 스크립트/추정 오류: 워커를 끄고 메인 스레드에서 계속
+   */
+  handleWorkerFailure(error, worker = this.worker) {
+    this.workerRequests.forEach((request, id) => {
+      if (request.worker !== worker) return;
+      request.reject(error);
+      this.workerRequests.delete(id);
+    });
+    // 켜는 중이던 워커(setUseWorker가 실패 처리)거나 이미 끈 워커
+    if (!worker || worker !== this.worker) return;
+    console.warn("Pose worker failed, estimating on the main thread:", error);
+    this.stopWorker();
+    if (this.onWorkerError) this.onWorkerError(error);
   }
 
   /**
    * 예측 결과 콜백 등록
-   * @param {Function} callback - (prediction, pose) => void
+   * @param {Function} callback - (prediction, pose, posenetOutput) => void
    */
   setPredictionCallback(callback) {
     this.onPrediction = callback;
@@ -115,6 +407,30 @@ class PoseEngine {
     this.onDraw = callback;
   }
 
+  /**
+   * 화면 안/밖 전환 콜백 등록
+   * @param {Function} callback - (isPresent) => void
+   */
+  setPresenceCallback(callback) {
+    this.onPresenceChange = callback;
+  }
+
+  /**
+   * 카메라 연결 끊김 콜백 등록
+   * @param {Function} callback - () => void
+   */
+  setCameraLostCallback(callback) {
+    this.onCameraLost = callback;
+  }
+
+  /**
+   * 워커 실패 콜백 등록 (그 뒤로는 메인 스레드에서 추정)
+   * @param {Function} callback - (error) => void
+   */
+  setWorkerErrorCallback(callback) {
+    this.onWorkerError = callback;
+  }
+
   /**
    * 모델의 클래스 수 반환
    */
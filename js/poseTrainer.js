@@ -0,0 +1,188 @@
+/**
+ * poseTrainer.js
+ * 게임 안에서 포즈 샘플을 모아 분류 모델(헤드)을 다시 학습
+ *
+ * PoseEngine이 매 프레임 계산하는 PoseNet 출력(posenetOutput)을 클래스별로 모으고,
+ * tmPose.createTeachable()로 같은 PoseNet 설정의 새 분류 모델을 브라우저에서 학습합니다.
+ * 클래스마다 holdoutEvery 번째 샘플은 학습에 쓰지 않고 정확도 평가용으로 남깁니다.
+ * 학습한 모델은 my_model/ 과 같은 형식(model.json, metadata.json, weights.bin)으로 내보냅니다.
+ */
+
+const MIN_SAMPLES_PER_CLASS = 10;
+
+class PoseTrainer {
+  /**
+   * @param {Array<string>} labels - 학습할 클래스 이름
+   * @param {Object} options - { metadata (현재 모델 metadata, PoseNet 설정용), holdoutEvery = 5 }
+   */
+  constructor(labels, options = {}) {
+    this.labels = labels.slice();
+    this.metadata = options.metadata || {};
+    this.holdoutEvery = options.holdoutEvery || 5;
+
+    this.samples = {}; // label -> [Float32Array]
+    this.labels.forEach(label => { this.samples[label] = []; });
+    this.recordingLabel = null;
+    this.model = null; // 학습된 TeachablePose
+  }
+
+  /**
+   * 녹화 시작/중지: 녹화 중에는 update()로 들어오는 프레임이 해당 클래스 샘플이 됨
+   */
+  startRecording(label) {
+    if (!this.samples[label]) throw new Error(`Unknown class: ${label}`);
+    this.recordingLabel = label;
+  }
+
+  stopRecording() {
+    this.recordingLabel = null;
+  }
+
+  /**
+   * PoseEngine 예측 콜백에서 매 프레임 호출
+   * @param {Float32Array} posenetOutput
+   */
+  update(posenetOutput) {
+    if (this.recordingLabel && posenetOutput) this.addSample(this.recordingLabel, posenetOutput);
+  }
+
+  addSample(label, posenetOutput) {
+    // PoseNet 출력 버퍼는 다음 프레임에 재사용될 수 있으므로 복사해서 보관
+    this.samples[label].push(Float32Array.from(posenetOutput));
+  }
+
+  clear(label) {
+    this.samples[label] = [];
+    this.model = null;
+  }
+
+  getCounts() {
+    const counts = {};
+    this.labels.forEach(label => { counts[label] = this.samples[label].length; });
+    return counts;
+  }
+
+  /**
+   * 학습 가능 여부 확인 (부족하면 Error)
+   */
+  checkSamples() {
+    const missing = this.labels.filter(label => this.samples[label].length < MIN_SAMPLES_PER_CLASS);
+    if (this.labels.length < 2) throw new Error("At least 2 classes are needed");
+    if (missing.length > 0) {
+      throw new Error(`Record at least ${MIN_SAMPLES_PER_CLASS} samples for: ${missing.join(", ")}`);
+    }
+  }
+
+  /**
+   * 학습용 / 평가용 분리 (클래스마다 holdoutEvery 번째 샘플을 평가용으로)
+   * @returns {Object} { train: [{ label, sample }], test: [{ label, sample }] }
+   */
+  split() {
+    const train = [];
+    const test = [];
+    this.labels.forEach(label => {
+      this.samples[label].forEach((sample, i) => {
+        const target = (i + 1) % this.holdoutEvery === 0 ? test : train;
+        target.push({ label, sample });
+      });
+    });
+    return { train, test };
+  }
+
+  /**
+   * 분류 모델 학습
+   * @param {Object} params - { epochs, learningRate, batchSize, denseUnits }
+   * @param {Function} onEpoch - (epoch, logs) => void
+   * @returns {Promise<Object>} 평가 결과 (evaluate())
+   */
+  async train(params = {}, onEpoch = null) {
+    this.checkSamples();
+    const { train, test } = this.split();
+
+    const teachable = await tmPose.createTeachable(
+      { ...this.metadata, labels: this.labels },
+      this.metadata.modelSettings && this.metadata.modelSettings.posenet
+    );
+    teachable.setLabels(this.labels);
+    teachable.setName(this.metadata.modelName || "my-pose-model");
+    train.forEach(({ label, sample }) => teachable.addExample(this.labels.indexOf(label), sample));
+
+    await teachable.train({
+      denseUnits: params.denseUnits || 100,
+      epochs: params.epochs || 50,
+      learningRate: params.learningRate || 0.001,
+      batchSize: params.batchSize || 16
+    }, {
+      onEpochEnd: async (epoch, logs) => {
+        if (onEpoch) onEpoch(epoch, logs);
+      }
+    });
+
+    if (this.model && this.model.dispose) this.model.dispose();
+    this.model = teachable;
+    return this.evaluate(test);
+  }
+
+  /**
+   * 평가용 샘플로 클래스별 정확도 계산
+   * @returns {Promise<Object>} { [label]: { samples, accuracy, confusion: { [predicted]: count } } }
+   */
+  async evaluate(test = this.split().test) {
+    const summary = {};
+    this.labels.forEach(label => {
+      const confusion = {};
+      this.labels.forEach(other => { confusion[other] = 0; });
+      summary[label] = { samples: 0, accuracy: 0, confusion };
+    });
+
+    for (const { label, sample } of test) {
+      const predictions = await this.model.predict(sample);
+      let best = predictions[0];
+      predictions.forEach(p => { if (p.probability > best.probability) best = p; });
+      summary[label].samples++;
+      summary[label].confusion[best.className]++;
+    }
+
+    this.labels.forEach(label => {
+      const row = summary[label];
+      row.accuracy = row.samples ? row.confusion[label] / row.samples : 0;
+    });
+    return summary;
+  }
+
+  /**
+   * 학습된 모델을 my_model/ 형식의 파일로
+   * @returns {Promise<Object>} { model, weights, metadata (File), info } - ModelFiles.fromFiles() 결과와 같은 모양
+   */
+  async toFiles() {
+    if (!this.model) throw new Error("Train the model first");
+
+    const metadata = {
+      ...this.model.getMetadata(),
+      labels: this.labels,
+      timeStamp: new Date().toISOString()
+    };
+
+    let modelJson = null;
+    let weightData = null;
+    await this.model.model.save(tf.io.withSaveHandler(async (artifacts) => {
+      modelJson = {
+        modelTopology: artifacts.modelTopology,
+        weightsManifest: [{ paths: ["weights.bin"], weights: artifacts.weightSpecs }]
+      };
+      weightData = artifacts.weightData;
+      return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: "JSON" } };
+    }));
+
+    return {
+      model: new File([JSON.stringify(modelJson)], "model.json", { type: "application/json" }),
+      weights: new File([weightData], "weights.bin", { type: "application/octet-stream" }),
+      metadata: new File([JSON.stringify(metadata)], "metadata.json", { type: "application/json" }),
+      info: ModelFiles.describe(metadata)
+    };
+  }
+}
+
+// 브라우저 전역 + CommonJS 내보내기 (Node에서 헤드리스로 사용)
+globalThis.PoseTrainer = PoseTrainer;
+if (typeof module !== "undefined") module.exports = PoseTrainer;
@@ -0,0 +1,57 @@
+/**
+ * poseWorker.js
+ * Web Worker에서 PoseNet 포즈 추정 (PoseEngine.setUseWorker)
+ *
+ * 메인 스레드가 웹캠 캔버스를 ImageBitmap으로 보내면 OffscreenCanvas에 그려
+ * estimatePose를 돌리고 { pose, posenetOutput }을 돌려줍니다.
+ * 분류(predict)는 가벼우므로 메인 스레드의 모델이 그대로 합니다
+ * (게임 안에서 다시 학습한 모델도 PoseNet 설정은 같음).
+ *
+ * 메시지 (모든 요청에 id, 답장에 같은 id):
+ *   → { type: "load", source }   모델 폴더 URL(절대 경로) 또는 { model, weights, metadata } 파일
+ *   ← { type: "loaded" }
+ *   → { type: "estimate", bitmap }
+ *   ← { type: "pose", pose, posenetOutput }
+ *   ← { type: "error", message }  (실패한 요청)
+ */
+
+importScripts(
+  "https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@1.3.1/dist/tf.min.js",
+  "https://cdn.jsdelivr.net/npm/@teachablemachine/pose@0.8/dist/teachablemachine-pose.min.js"
+);
+
+let model = null;
+let canvas = null;
+let context = null;
+
+self.onmessage = async ({ data }) => {
+  try {
+    if (data.type === "load") {
+      const { source } = data;
+      const loaded = typeof source === "string"
+        ? await tmPose.load(source + "model.json", source + "metadata.json")
+        : await tmPose.loadFromFiles(source.model, source.weights, source.metadata);
+      if (model && model.dispose) model.dispose();
+      model = loaded;
+      self.postMessage({ type: "loaded", id: data.id });
+    } else if (data.type === "estimate") {
+      const { pose, posenetOutput } = await model.estimatePose(toImageData(data.bitmap));
+      self.postMessage({ type: "pose", id: data.id, pose, posenetOutput });
+    }
+  } catch (error) {
+    self.postMessage({ type: "error", id: data.id, message: error.message || String(error) });
+  }
+};
+
+/**
+ * 프레임을 OffscreenCanvas에 그려 tf.browser.fromPixels가 받는 ImageData로 바꿈
+ */
+function toImageData(bitmap) {
+  if (!canvas || canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+    canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    context = canvas.getContext("2d");
+  }
+  context.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return context.getImageData(0, 0, canvas.width, canvas.height);
+}
@@ -0,0 +1,73 @@
+/**
+ * presenceDetector.js
+ * PoseNet 키포인트 신뢰도로 플레이어가 카메라 화면 안에 있는지 판단
+ *
+ * 신뢰도가 minScore 이상인 키포인트가 minKeypoints개 이상이면 "보임".
+ * 한두 프레임 놓친 것으로 자리 비움이 되지 않도록
+ * - absentMs 동안 계속 안 보여야 "자리 비움"
+ * - presentMs 동안 계속 보여야 "돌아옴"
+ * 으로 바뀝니다 (stabilizer의 dwell 전략과 같은 방식).
+ */
+
+class PresenceDetector {
+  constructor(options = {}) {
+    this.minScore = options.minScore || 0.5; // 키포인트 신뢰도 기준
+    this.minKeypoints = options.minKeypoints || 5; // 예: 코, 눈, 양쪽 어깨
+    this.absentMs = options.absentMs || 1000;
+    this.presentMs = options.presentMs || 500;
+    this.now = options.now || (() => performance.now());
+    this.reset();
+  }
+
+  reset() {
+    this.isPresent = true;
+    this.visibleKeypoints = 0;
+    this.candidateSince = null; // 반대 상태가 처음 관찰된 시각
+  }
+
+  /**
+   * 신뢰도 기준을 넘는 키포인트 수 (pose가 없으면 0)
+   */
+  static countVisible(pose, minScore) {
+    if (!pose || !Array.isArray(pose.keypoints)) return 0;
+    return pose.keypoints.filter(k => k.score >= minScore).length;
+  }
+
+  /**
+   * 프레임마다 호출
+   * @param {Object|null} pose - PoseNet 포즈 (estimatePose 결과)
+   * @returns {boolean} 이번 프레임에 isPresent가 바뀌었는지
+   */
+  update(pose) {
+    this.visibleKeypoints = PresenceDetector.countVisible(pose, this.minScore);
+    const visible = this.visibleKeypoints >= this.minKeypoints;
+
+    if (visible === this.isPresent) {
+      this.candidateSince = null;
+      return false;
+    }
+
+    const now = this.now();
+    if (this.candidateSince === null) this.candidateSince = now;
+    if (now - this.candidateSince < (visible ? this.presentMs : this.absentMs)) return false;
+
+    this.isPresent = visible;
+    this.candidateSince = null;
+    return true;
+  }
+
+  /**
+   * 디버깅용 내부 상태
+   */
+  getState() {
+    return {
+      isPresent: this.isPresent,
+      visibleKeypoints: this.visibleKeypoints,
+      pendingMs: this.candidateSince === null ? 0 : Math.round(this.now() - this.candidateSince)
+    };
+  }
+}
+
+// 브라우저 전역 + CommonJS 내보내기 (Node에서 헤드리스로 사용)
+globalThis.PresenceDetector = PresenceDetector;
+if (typeof module !== "undefined") module.exports = PresenceDetector;
@@ -0,0 +1,78 @@
+/**
+ * random.js
+ * Deterministic pseudo random number generator (mulberry32)
+ *
+ * Every random decision in the game goes through one SeededRandom instance,
+ * so the same seed always produces the same item sequence.
+ */
+
+class SeededRandom {
+  constructor(seed = 0) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Next float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Integer in [0, max)
+   */
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Random element of an array
+   */
+  pick(array) {
+    return array[this.nextInt(array.length)];
+  }
+
+  /**
+   * 32-bit FNV-1a hash of a string, used to turn text into a seed
+   */
+  static hashString(str) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Seed shared by everyone playing on the same (local) calendar day
+   * @param {Date} date
+   */
+  static dailySeed(date = new Date()) {
+    return SeededRandom.hashString(`daily-${SeededRandom.dateKey(date)}`);
+  }
+
+  /**
+   * "YYYY-MM-DD" in local time
+   */
+  static dateKey(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Fresh seed for a normal (non-reproduced) run
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+  }
+}
+
+// Browser global + CommonJS export (headless use from Node)
+globalThis.SeededRandom = SeededRandom;
+if (typeof module !== "undefined") module.exports = SeededRandom;
@@ -0,0 +1,97 @@
+/**
+ * recentModels.js
+ * 최근 사용한 로컬 모델 파일을 IndexedDB에 보관
+ *
+ * 모델 파일(특히 weights.bin)은 localStorage에 넣기엔 커서 IndexedDB를 씁니다.
+ * 항목: { id, name, labels, architecture, usedAt, model, weights, metadata (File) }
+ */
+
+const RECENT_MODELS_DB = "skyFruitModels";
+const RECENT_MODELS_STORE = "models";
+
+class RecentModels {
+  constructor(options = {}) {
+    this.limit = options.limit || 5;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(RECENT_MODELS_DB, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(RECENT_MODELS_STORE, { keyPath: "id" });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * 트랜잭션 하나로 요청 실행
+   */
+  async request(mode, run) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const store = db.transaction(RECENT_MODELS_STORE, mode).objectStore(RECENT_MODELS_STORE);
+      const request = run(store);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * 최근 사용 순 목록
+   */
+  async list() {
+    const entries = await this.request("readonly", store => store.getAll());
+    return entries.sort((a, b) => b.usedAt - a.usedAt);
+  }
+
+  get(id) {
+    return this.request("readonly", store => store.get(id));
+  }
+
+  /**
+   * 모델 저장 (같은 이름 + 라벨이면 덮어씀), 오래된 항목은 limit 개수만 남기고 삭제
+   * @param {Object} files - ModelFiles.fromFiles() 결과
+   * @returns {Promise<Object>} 저장된 항목
+   */
+  async save(files) {
+    const { name, labels, architecture } = files.info;
+    const entry = {
+      id: `${name}:${labels.join("|")}`,
+      name,
+      labels,
+      architecture,
+      usedAt: Date.now(),
+      model: files.model,
+      weights: files.weights,
+      metadata: files.metadata
+    };
+    await this.request("readwrite", store => store.put(entry));
+
+    const entries = await this.list();
+    for (const old of entries.slice(this.limit)) await this.remove(old.id);
+    return entry;
+  }
+
+  /**
+   * 사용 시각 갱신 (목록 맨 앞으로)
+   */
+  async touch(id) {
+    const entry = await this.get(id);
+    if (!entry) return null;
+    entry.usedAt = Date.now();
+    await this.request("readwrite", store => store.put(entry));
+    return entry;
+  }
+
+  remove(id) {
+    return this.request("readwrite", store => store.delete(id));
+  }
+}
+
+window.RecentModels = RecentModels;
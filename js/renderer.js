@@ -0,0 +1,465 @@
+/**
+ * renderer.js
+ * Draws the play field (basket, items, score popups, shake) from GameEngine events
+ *
+ * Every renderer has the same shape:
+ *   { id, name, mount(), unmount(), clear(), addItem(item), removeItem(item),
+ *     moveBasket(x), setEffects(effects), showPopup(popup), shake(), render(items) }
+ *
+ * - DomRenderer: one element per item, the original renderer (fallback)
+ * - CanvasRenderer: a single 2D canvas; items are drawn from pre-rendered
+ *   emoji or from an image sprite sheet
+ *
+ * Both reuse their sprites through a SpritePool instead of creating one per
+ * spawn, and report the script time of render() through getStats().
+ */
+
+const POPUP_MS = 800; // same as the CSS "pop" animation
+const SHAKE_MS = 500; // same as the CSS "shake" animation
+// Canvas basket covers half the remaining distance every 60Hz frame's worth of time
+const BASKET_EASE_HALF_LIFE_MS = 1000 / 60;
+
+/**
+ * Free list of reusable sprites
+ */
+class SpritePool {
+  constructor(create) {
+    this.create = create;
+    this.free = [];
+    this.created = 0;
+  }
+
+  acquire() {
+    if (this.free.length > 0) return this.free.pop();
+    this.created++;
+    return this.create();
+  }
+
+  release(sprite) {
+    this.free.push(sprite);
+  }
+}
+
+/**
+ * Shared frame timing (rolling average over the last 60 frames)
+ */
+class BaseRenderer {
+  constructor(gameArea, options = {}) {
+    this.gameArea = gameArea;
+    this.basket = options.basket || gameArea.querySelector("#basket");
+    this.icons = options.icons || {};
+    this.frameTimes = [];
+    this.frames = 0;
+    this.itemCount = 0;
+  }
+
+  render(items) {
+    const start = performance.now();
+    this.draw(items);
+    this.frameTimes.push(performance.now() - start);
+    if (this.frameTimes.length > 60) this.frameTimes.shift();
+    this.frames++;
+    this.itemCount = items.length;
+  }
+
+  /**
+   * @returns {Object} { frames, averageMs, items, pooled }
+   */
+  getStats() {
+    const times = this.frameTimes;
+    const average = times.length ? times.reduce((sum, t) => sum + t, 0) / times.length : 0;
+    return {
+      frames: this.frames,
+      averageMs: Math.round(average * 1000) / 1000,
+      items: this.itemCount,
+      pooled: this.pool.created
+    };
+  }
+
+  basketText(effects) {
+    const stored = effects.stored === "Magnet" ? "🧲" : effects.stored === "Time" ? "⏳" : "";
+    return (effects.frozen ? "🧊" : "") + (effects.shield ? "🧺🛡️" : "🧺") + stored;
+  }
+}
+
+/**
+ * One absolutely positioned element per item. Elements are hidden and
+ * kept for the next spawn instead of being removed, and looked up in a
+ * Map rather than with getElementById every frame.
+ * (getStats() only covers script time; layout and paint come after.)
+ */
+class DomRenderer extends BaseRenderer {
+  constructor(gameArea, options = {}) {
+    super(gameArea, options);
+    this.id = "dom";
+    this.name = "DOM";
+    this.sprites = new Map(); // item id -> element
+    this.pool = new SpritePool(() => {
+      const el = document.createElement("div");
+      el.className = "item";
+      this.gameArea.appendChild(el);
+      return el;
+    });
+  }
+
+  mount() {
+    this.basket.style.display = "";
+  }
+
+  unmount() {
+    this.clear();
+  }
+
+  clear() {
+    this.sprites.forEach(el => this.releaseSprite(el));
+    this.sprites.clear();
+    this.gameArea.querySelectorAll(".score-popup").forEach(el => el.remove());
+    this.gameArea.classList.remove("shake");
+    this.setEffects({});
+  }
+
+  addItem(item) {
+    const el = this.pool.acquire();
+    el.innerText = this.icons[item.type] || "";
+    el.style.left = `${item.x}%`;
+    el.style.top = `${item.y}%`;
+    el.style.display = "";
+    this.sprites.set(item.id, el);
+  }
+
+  removeItem(item) {
+    const el = this.sprites.get(item.id);
+    if (!el) return;
+    this.sprites.delete(item.id);
+    this.releaseSprite(el);
+  }
+
+  releaseSprite(el) {
+    el.style.display = "none";
+    this.pool.release(el);
+  }
+
+  moveBasket(x) {
+    this.basket.style.left = `${x}%`;
+  }
+
+  setEffects(effects) {
+    this.basket.innerText = this.basketText(effects);
+    this.basket.style.border = effects.shield ? "3px solid gold" : "none";
+    this.basket.style.boxShadow = effects.magnet ? "0 0 20px purple" : "none";
+  }
+
+  /**
+   * @param {Object} popup - { text, kind: "" | "penalty" | "perfect", x, y }
+   */
+  showPopup({ text, kind, x, y }) {
+    const el = document.createElement("div");
+    el.className = "score-popup";
+    if (kind) el.classList.add(kind);
+    el.innerText = text;
+    el.style.left = `${x}%`;
+    el.style.top = `${y}%`;
+    this.gameArea.appendChild(el);
+    setTimeout(() => el.remove(), POPUP_MS);
+  }
+
+  shake() {
+    this.gameArea.classList.add("shake");
+    setTimeout(() => this.gameArea.classList.remove("shake"), SHAKE_MS);
+  }
+
+  draw(items) {
+    items.forEach(item => {
+      const el = this.sprites.get(item.id);
+      if (!el) return;
+      el.style.top = `${item.y}%`;
+      el.style.left = `${item.x}%`; // Magnet pulls items sideways
+    });
+  }
+}
+
+/**
+ * Everything is drawn on one canvas laid over the game area. Emoji are
+ * rendered once into small offscreen canvases and then copied with
+ * drawImage, which is much cheaper than fillText every frame.
+ *
+ * Sprite sheet JSON (see sprites/index.json):
+ * {
+ *   "name": "Pixel Fruit",
+ *   "image": "pixel-fruit.png",          // relative to the JSON file
+ *   "frames": { "Apple": [x, y, w, h] }  // types without a frame use emoji
+ * }
+ */
+class CanvasRenderer extends BaseRenderer {
+  constructor(gameArea, options = {}) {
+    super(gameArea, options);
+    this.id = "canvas";
+    this.name = "Canvas";
+    this.itemSize = options.itemSize || 40; // px, like the .item box
+    this.basketSize = options.basketSize || 60;
+    this.canvas = null;
+    this.ctx = null;
+    this.width = 0;
+    this.height = 0;
+    this.sheet = null; // { image, frames }
+    this.glyphs = new Map(); // "text|size" -> offscreen canvas
+    this.sprites = new Map(); // item id -> { type, x, y }
+    this.pool = new SpritePool(() => ({ type: null, x: 0, y: 0 }));
+    this.popups = [];
+    this.popupPool = new SpritePool(() => ({ text: "", color: "", x: 0, y: 0, start: 0 }));
+    this.basketX = 50;
+    this.basketTarget = 50;
+    this.basketDrawnAt = null; // time of the last basket frame (for frame-rate independent easing)
+    this.effects = {};
+    this.shakeUntil = 0;
+    this.resizeListener = () => this.resize();
+  }
+
+  static isSupported() {
+    const canvas = document.createElement("canvas");
+    return !!(canvas.getContext && canvas.getContext("2d"));
+  }
+
+  /**
+   * Load a sprite sheet description and its image
+   * @param {string} url - sprite sheet JSON
+   * @returns {Promise<Object>} { name, image, frames }
+   */
+  static async loadSpriteSheet(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Failed to load sprite sheet ${url}: ${response.status}`);
+    const data = await response.json();
+    if (typeof data.image !== "string" || !data.frames || typeof data.frames !== "object") {
+      throw new Error("Sprite sheet needs an image and a frames object");
+    }
+    Object.entries(data.frames).forEach(([type, frame]) => {
+      if (!Array.isArray(frame) || frame.length !== 4 || !frame.every(v => Number.isFinite(v))) {
+        throw new Error(`Frame for ${type} must be [x, y, w, h]`);
+      }
+    });
+
+    const image = new Image();
+    image.src = new URL(data.image, new URL(url, location.href)).href;
+    await image.decode();
+    return { name: data.name || data.image, image, frames: data.frames };
+  }
+
+  mount() {
+    if (this.canvas) return;
+    this.canvas = document.createElement("canvas");
+    this.canvas.className = "game-canvas";
+    this.gameArea.appendChild(this.canvas);
+    this.ctx = this.canvas.getContext("2d");
+    this.basket.style.display = "none";
+    window.addEventListener("resize", this.resizeListener);
+    this.resize();
+  }
+
+  unmount() {
+    if (!this.canvas) return;
+    this.clear();
+    window.removeEventListener("resize", this.resizeListener);
+    this.canvas.remove();
+    this.canvas = null;
+    this.ctx = null;
+    this.basket.style.display = "";
+  }
+
+  resize() {
+    const dpr = window.devicePixelRatio || 1;
+    this.width = this.gameArea.clientWidth;
+    this.height = this.gameArea.clientHeight;
+    this.canvas.width = Math.round(this.width * dpr);
+    this.canvas.height = Math.round(this.height * dpr);
+    this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    this.glyphs.clear(); // cached at the old pixel ratio
+    this.draw([]);
+  }
+
+  /**
+   * @param {Object|null} sheet - from loadSpriteSheet(), null for emoji
+   */
+  setSpriteSheet(sheet) {
+    this.sheet = sheet;
+  }
+
+  clear() {
+    this.sprites.forEach(sprite => this.pool.release(sprite));
+    this.sprites.clear();
+    this.popups.forEach(popup => this.popupPool.release(popup));
+    this.popups = [];
+    this.shakeUntil = 0;
+    this.effects = {};
+    this.basketX = this.basketTarget;
+    this.basketDrawnAt = null;
+    if (this.ctx) this.draw([]);
+  }
+
+  addItem(item) {
+    const sprite = this.pool.acquire();
+    sprite.type = item.type;
+    sprite.x = item.x;
+    sprite.y = item.y;
+    this.sprites.set(item.id, sprite);
+  }
+
+  removeItem(item) {
+    const sprite = this.sprites.get(item.id);
+    if (!sprite) return;
+    this.sprites.delete(item.id);
+    this.pool.release(sprite);
+  }
+
+  moveBasket(x) {
+    this.basketTarget = x;
+  }
+
+  setEffects(effects) {
+    this.effects = effects;
+  }
+
+  showPopup({ text, kind, x, y }) {
+    const popup = this.popupPool.acquire();
+    popup.text = text;
+    popup.color = kind === "penalty" ? "#ff3b30" : kind === "perfect" ? "#00e5ff" : "gold";
+    popup.x = x;
+    popup.y = y;
+    popup.start = performance.now();
+    this.popups.push(popup);
+  }
+
+  shake() {
+    this.shakeUntil = performance.now() + SHAKE_MS;
+  }
+
+  draw(items) {
+    const ctx = this.ctx;
+    if (!ctx) return;
+    const now = performance.now();
+    ctx.clearRect(0, 0, this.width, this.height);
+    ctx.save();
+
+    // Shake: same wobble as the CSS animation
+    if (now < this.shakeUntil) {
+      const t = 1 - (this.shakeUntil - now) / SHAKE_MS;
+      const wobble = Math.sin(t * Math.PI * 4);
+      ctx.translate(this.width / 2 + wobble * 5, this.height / 2);
+      ctx.rotate(wobble * 5 * Math.PI / 180);
+      ctx.translate(-this.width / 2, -this.height / 2);
+    }
+
+    items.forEach(item => {
+      const sprite = this.sprites.get(item.id);
+      if (!sprite) return;
+      sprite.x = item.x;
+      sprite.y = item.y;
+      this.drawSprite(sprite.type, this.width * sprite.x / 100, this.height * sprite.y / 100);
+    });
+
+    this.drawBasket(now);
+    this.drawPopups(now);
+    ctx.restore();
+  }
+
+  drawSprite(type, centerX, top) {
+    const size = this.itemSize;
+    const frame = this.sheet && this.sheet.frames[type];
+    if (frame) {
+      const [sx, sy, sw, sh] = frame;
+      this.ctx.drawImage(this.sheet.image, sx, sy, sw, sh, centerX - size / 2, top, size, size);
+      return;
+    }
+    // Wide icons (e.g. the two-lane bomb) keep their width
+    const glyph = this.getGlyph(this.icons[type] || "", size * 0.75, size, size);
+    this.ctx.drawImage(glyph, centerX - glyph.cssWidth / 2, top, glyph.cssWidth, size);
+  }
+
+  /**
+   * Emoji pre-rendered at device resolution, cached per text and size.
+   * The glyph is at least minWidth wide (wider if the text needs it);
+   * its CSS pixel width is kept in glyph.cssWidth.
+   */
+  getGlyph(text, fontSize, minWidth, height) {
+    const key = `${text}|${fontSize}|${minWidth}|${height}`;
+    let glyph = this.glyphs.get(key);
+    if (glyph) return glyph;
+
+    const dpr = window.devicePixelRatio || 1;
+    const font = `${fontSize}px sans-serif`;
+    this.ctx.font = font;
+    const width = Math.max(minWidth, Math.ceil(this.ctx.measureText(text).width) + 4);
+
+    glyph = document.createElement("canvas");
+    glyph.width = Math.ceil(width * dpr);
+    glyph.height = Math.ceil(height * dpr);
+    glyph.cssWidth = width;
+    const ctx = glyph.getContext("2d");
+    ctx.scale(dpr, dpr);
+    ctx.font = font;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(text, width / 2, height / 2);
+    this.glyphs.set(key, glyph);
+    return glyph;
+  }
+
+  /**
+   * Same box as the DOM basket: 80x60 (or wider), 10px above the bottom
+   */
+  drawBasket(now) {
+    const ctx = this.ctx;
+    const height = this.basketSize;
+    // Ease towards the lane like the DOM basket's 0.1s transition, by elapsed
+    // time so 120Hz and 30Hz screens move it as fast as 60Hz ones
+    const dt = this.basketDrawnAt === null ? 0 : now - this.basketDrawnAt;
+    this.basketDrawnAt = now;
+    this.basketX += (this.basketTarget - this.basketX) * (1 - Math.pow(0.5, dt / BASKET_EASE_HALF_LIFE_MS));
+    const glyph = this.getGlyph(this.basketText(this.effects), height * 0.83, height * 4 / 3, height);
+    const left = this.width * this.basketX / 100 - glyph.cssWidth / 2;
+    const top = this.height - 10 - height;
+
+    ctx.save();
+    if (this.effects.magnet) {
+      ctx.shadowColor = "purple";
+      ctx.shadowBlur = 20;
+    }
+    ctx.drawImage(glyph, left, top, glyph.cssWidth, height);
+    ctx.restore();
+
+    if (this.effects.shield) {
+      ctx.strokeStyle = "gold";
+      ctx.lineWidth = 3;
+      ctx.strokeRect(left, top, glyph.cssWidth, height);
+    }
+  }
+
+  /**
+   * Pop animation: grows to 2x and fades out around the text's center
+   */
+  drawPopups(now) {
+    const ctx = this.ctx;
+    ctx.font = "bold 24px sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    this.popups = this.popups.filter(popup => {
+      const t = (now - popup.start) / POPUP_MS;
+      if (t >= 1) {
+        this.popupPool.release(popup);
+        return false;
+      }
+      const halfWidth = ctx.measureText(popup.text).width / 2;
+      ctx.save();
+      ctx.globalAlpha = 1 - t;
+      ctx.translate(this.width * popup.x / 100 + halfWidth, this.height * popup.y / 100 + 12);
+      ctx.scale(1 + t, 1 + t);
+      ctx.fillStyle = popup.color;
+      ctx.fillText(popup.text, 0, 0);
+      ctx.restore();
+      return true;
+    });
+  }
+}
+
+window.SpritePool = SpritePool;
+window.DomRenderer = DomRenderer;
+window.CanvasRenderer = CanvasRenderer;
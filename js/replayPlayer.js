@@ -0,0 +1,107 @@
+/**
+ * replayPlayer.js
+ * Playback controls (pause, seek, speed) for a recorded replay
+ *
+ * Drives a GameEngine in replay mode. Because the simulation is
+ * deterministic, seeking restarts the replay and fast-forwards to the
+ * target step; listeners can check `isSeeking` to skip sounds and popups.
+ */
+
+class ReplayPlayer {
+  constructor(gameEngine) {
+    this.gameEngine = gameEngine;
+    this.replay = null;
+    this.isPaused = false;
+    this.isSeeking = false;
+    this.speed = 1;
+  }
+
+  /**
+   * Start playback from the beginning
+   * @param {Object} replay - object produced by GameEngine.getReplay()
+   */
+  load(replay) {
+    this.replay = replay;
+    this.isPaused = false;
+    this.gameEngine.startReplay(replay);
+  }
+
+  /**
+   * Frame callback for GameLoop. Returns false once the replay is over.
+   */
+  update(frameDelta) {
+    if (!this.replay) return false;
+    if (this.isPaused) return true;
+    return this.gameEngine.update(frameDelta * this.speed);
+  }
+
+  pause() {
+    this.isPaused = true;
+  }
+
+  resume() {
+    this.isPaused = false;
+  }
+
+  togglePause() {
+    this.isPaused = !this.isPaused;
+  }
+
+  /**
+   * @param {number} speed - playback multiplier (e.g. 0.5, 1, 2, 4)
+   */
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  /**
+   * Jump to a step of the replay (clamped to the recorded length)
+   * @param {number} targetStep
+   */
+  seek(targetStep) {
+    if (!this.replay) return;
+    // Stop one step short of the end so the game-over event isn't replayed
+    const lastStep = Math.max(0, this.getTotalSteps() - 1);
+    const target = Math.max(0, Math.min(targetStep, lastStep));
+
+    this.isSeeking = true;
+    if (target < this.gameEngine.stepCount || !this.gameEngine.isGameActive) {
+      this.gameEngine.startReplay(this.replay);
+    }
+    while (this.gameEngine.stepCount < target && this.gameEngine.isGameActive) {
+      this.gameEngine.step();
+    }
+    this.isSeeking = false;
+
+    this.gameEngine.emit("render", { items: this.gameEngine.items });
+  }
+
+  getCurrentStep() {
+    return this.gameEngine.stepCount;
+  }
+
+  getTotalSteps() {
+    return this.replay ? this.replay.result.steps : 0;
+  }
+
+  /**
+   * Stop playback without firing the game-over event
+   */
+  stop() {
+    this.gameEngine.abort();
+    this.replay = null;
+  }
+
+  /**
+   * Parse and validate a replay from JSON text
+   */
+  static parse(json) {
+    const replay = JSON.parse(json);
+    GameEngine.validateReplay(replay);
+    return replay;
+  }
+}
+
+// Browser global + CommonJS export (headless use from Node)
+globalThis.ReplayPlayer = ReplayPlayer;
+if (typeof module !== "undefined") module.exports = ReplayPlayer;
@@ -0,0 +1,143 @@
+/**
+ * runStats.js
+ * Per-run statistics collected by the GameEngine for the results screen
+ *
+ * - caught / missed per item type and per lane (lane the item spawned in)
+ * - bombs dodged (fell past) and hit, shields consumed, hazards caught
+ * - power-up uptime (ms with Magnet / Time Slow active)
+ * - longest streak of good catches (a missed fruit or an unshielded bomb ends it)
+ * - reaction time: spawn -> basket first under the item, for items that
+ *   didn't start above the basket
+ */
+
+class RunStats {
+  constructor(laneCount = 3) {
+    this.caught = {};
+    this.missed = {};
+    this.lanes = Array.from({ length: laneCount }, () => ({ caught: 0, missed: 0 }));
+    this.bombsDodged = 0;
+    this.bombsHit = 0;
+    this.shieldsUsed = 0;
+    this.hazardsHit = 0;
+    this.powerUpMs = { magnet: 0, timeSlow: 0 };
+    this.streak = 0;
+    this.longestStreak = 0;
+    this.reactionTimes = [];
+    this.tracked = new Map(); // item id -> { lane, spawnTime, pending }
+  }
+
+  /**
+   * @param {boolean} underBasket - the basket is already in the item's path
+   */
+  itemSpawned(item, time, underBasket) {
+    this.tracked.set(item.id, {
+      lane: item.lane,
+      spawnTime: time,
+      pending: (item.kind === "fruit" || item.kind === "powerUp") && !underBasket
+    });
+  }
+
+  /**
+   * Called every step while the item falls
+   */
+  itemMoved(item, time, underBasket) {
+    const info = this.tracked.get(item.id);
+    if (!info || !info.pending || !underBasket) return;
+    info.pending = false;
+    this.reactionTimes.push(time - info.spawnTime);
+  }
+
+  /**
+   * The magnet moved the item, so the player didn't have to react
+   */
+  itemPulled(item) {
+    const info = this.tracked.get(item.id);
+    if (info) info.pending = false;
+  }
+
+  itemCaught(item) {
+    const info = this.untrack(item);
+    this.caught[item.type] = (this.caught[item.type] || 0) + 1;
+    this.lanes[info.lane].caught++;
+    this.streak++;
+    this.longestStreak = Math.max(this.longestStreak, this.streak);
+  }
+
+  bombHit(item, shielded) {
+    this.untrack(item);
+    this.bombsHit++;
+    if (shielded) this.shieldsUsed++;
+    else this.streak = 0;
+  }
+
+  /**
+   * A hazard (e.g. Freeze) landed in the basket; not a good catch, but it
+   * doesn't end the streak either
+   */
+  hazardHit(item) {
+    this.untrack(item);
+    this.hazardsHit++;
+  }
+
+  /**
+   * The item fell past the basket (a bomb doing that was dodged)
+   * @param {boolean} breaksStreak - true for fruit
+   */
+  itemMissed(item, breaksStreak) {
+    const info = this.untrack(item);
+    if (item.kind === "bomb") {
+      this.bombsDodged++;
+      return;
+    }
+    if (item.kind === "hazard") return;
+    this.missed[item.type] = (this.missed[item.type] || 0) + 1;
+    this.lanes[info.lane].missed++;
+    if (breaksStreak) this.streak = 0;
+  }
+
+  untrack(item) {
+    const info = this.tracked.get(item.id) || { lane: item.lane };
+    this.tracked.delete(item.id);
+    return info;
+  }
+
+  /**
+   * Accumulate power-up uptime for one simulation step
+   */
+  tick(dt, effects) {
+    if (effects.magnet) this.powerUpMs.magnet += dt;
+    if (effects.timeSlow) this.powerUpMs.timeSlow += dt;
+  }
+
+  /**
+   * Plain object for the results screen
+   */
+  getSummary(durationMs) {
+    const times = this.reactionTimes;
+    const average = times.length ? times.reduce((sum, t) => sum + t, 0) / times.length : null;
+    return {
+      durationMs: Math.round(durationMs),
+      caught: { ...this.caught },
+      missed: { ...this.missed },
+      lanes: this.lanes.map(lane => ({ ...lane })),
+      bombsDodged: this.bombsDodged,
+      bombsHit: this.bombsHit,
+      shieldsUsed: this.shieldsUsed,
+      hazardsHit: this.hazardsHit,
+      powerUpMs: {
+        magnet: Math.round(this.powerUpMs.magnet),
+        timeSlow: Math.round(this.powerUpMs.timeSlow)
+      },
+      longestStreak: this.longestStreak,
+      reaction: {
+        count: times.length,
+        averageMs: average === null ? null : Math.round(average),
+        bestMs: times.length ? Math.round(Math.min(...times)) : null
+      }
+    };
+  }
+}
+
+// Browser global + CommonJS export (headless use from Node)
+globalThis.RunStats = RunStats;
+if (typeof module !== "undefined") module.exports = RunStats;
@@ -2,44 +2,224 @@
  * soundManager.js
  * Generates synthetic sounds using Web Audio API
  * No external files required!
+ *
+ * - Sound effects for every GameEngine sound cue (play(cue))
+ * - Background music from a small step sequencer; its tempo follows the level
+ * - Master / music / SFX volume and mute, saved in localStorage
+ *
+ * Browsers only allow audio after a user gesture, so the AudioContext is
+ * created (or resumed) on the first click, tap or key press.
  */
+
+const SOUND_SETTINGS_KEY = "soundSettings";
+const DEFAULT_SOUND_SETTINGS = { master: 0.8, music: 0.4, sfx: 0.8, muted: false };
+
+// Music: one bar of 8th notes (semitones above A3, null = rest), looped
+const MUSIC_MELODY = [12, 16, 19, 16, 14, 17, 21, null, 12, 16, 19, 24, 21, 19, 16, null];
+const MUSIC_BASS = [0, null, 0, null, 5, null, 5, null, 7, null, 7, null, 5, null, 5, null];
+const MUSIC_BASE_BPM = 110;
+const MUSIC_BPM_PER_LEVEL = 15;
+const MUSIC_MAX_BPM = 180;
+const SCHEDULE_AHEAD_S = 0.1; // how far ahead notes are scheduled
+const SCHEDULER_INTERVAL_MS = 25;
+
 class SoundManager {
-    constructor() {
+    constructor(storage = localStorage) {
+        this.storage = storage;
+        this.settings = this.loadSettings();
+        this.isMuted = this.settings.muted;
+        this.isSupported = !!(window.AudioContext || window.webkitAudioContext);
+        this.audioCtx = null; // created on the first user gesture
+        this.masterGain = null;
+        this.musicGain = null;
+        this.sfxGain = null;
+
+        // Music sequencer
+        this.isMusicPlaying = false;
+        this.musicTimer = null;
+        this.musicStep = 0;
+        this.nextNoteTime = 0;
+        this.bpm = MUSIC_BASE_BPM;
+
+        if (!this.isSupported) console.error("Web Audio API not supported");
+        this.unlockListener = () => this.unlock();
+        ["pointerdown", "keydown", "touchstart"].forEach(type => {
+            window.addEventListener(type, this.unlockListener, true);
+        });
+    }
+
+    /**
+     * Create / resume the AudioContext (must run inside a user gesture)
+     */
+    unlock() {
+        if (!this.isSupported) return;
+        if (!this.audioCtx) {
+            try {
+                this.audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+            } catch (e) {
+                console.error("Web Audio API not supported:", e);
+                this.isSupported = false;
+                return;
+            }
+            this.masterGain = this.audioCtx.createGain();
+            this.musicGain = this.audioCtx.createGain();
+            this.sfxGain = this.audioCtx.createGain();
+            this.musicGain.connect(this.masterGain);
+            this.sfxGain.connect(this.masterGain);
+            this.masterGain.connect(this.audioCtx.destination);
+            this.applyVolumes();
+        }
+
+        const ready = this.audioCtx.state === "suspended" ? this.audioCtx.resume() : Promise.resolve();
+        ready.then(() => {
+            ["pointerdown", "keydown", "touchstart"].forEach(type => {
+                window.removeEventListener(type, this.unlockListener, true);
+            });
+            if (this.isMusicPlaying && !this.musicTimer) this.startScheduler();
+        }).catch(e => console.warn("Audio resume failed:", e));
+    }
+
+    /**
+     * Sounds are skipped until the context is running
+     */
+    isReady() {
+        return !!this.audioCtx && this.audioCtx.state === "running" && !this.isMuted;
+    }
+
+    // Settings
+
+    loadSettings() {
         try {
-            this.audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+            return { ...DEFAULT_SOUND_SETTINGS, ...JSON.parse(this.storage.getItem(SOUND_SETTINGS_KEY) || "{}") };
         } catch (e) {
-            console.error("Web Audio API not supported:", e);
-            this.isMuted = true;
+            console.warn("Invalid sound settings:", e);
+            return { ...DEFAULT_SOUND_SETTINGS };
         }
+    }
+
+    saveSettings() {
+        this.storage.setItem(SOUND_SETTINGS_KEY, JSON.stringify(this.settings));
+    }
 
+    getSettings() {
+        return { ...this.settings };
     }
 
-    playTone(freq, type, duration) {
-        if (this.isMuted) return;
+    /**
+     * @param {string} channel - "master" | "music" | "sfx"
+     * @param {number} value - 0..1
+     */
+    setVolume(channel, value) {
+        if (!(channel in DEFAULT_SOUND_SETTINGS) || channel === "muted") {
+            throw new Error(`Unknown volume channel: ${channel}`);
+        }
+        this.settings[channel] = Math.min(1, Math.max(0, Number(value) || 0));
+        this.saveSettings();
+        this.applyVolumes();
+    }
+
+    setMuted(muted) {
+        this.isMuted = !!muted;
+        this.settings.muted = this.isMuted;
+        this.saveSettings();
+        this.applyVolumes();
+    }
+
+    toggleMute() {
+        this.setMuted(!this.isMuted);
+        return this.isMuted;
+    }
+
+    applyVolumes() {
+        if (!this.audioCtx) return;
+        const now = this.audioCtx.currentTime;
+        // Short ramp so dragging a slider doesn't click
+        this.masterGain.gain.setTargetAtTime(this.isMuted ? 0 : this.settings.master, now, 0.02);
+        this.musicGain.gain.setTargetAtTime(this.settings.music, now, 0.02);
+        this.sfxGain.gain.setTargetAtTime(this.settings.sfx, now, 0.02);
+    }
+
+    // Sound Effects
+
+    /**
+     * @param {number} delay - seconds from now
+     * @param {AudioNode} output - sfxGain (default) or musicGain
+     */
+    playTone(freq, type, duration, delay = 0, volume = 0.1, output = this.sfxGain) {
+        if (!this.isReady()) return;
+        const start = this.audioCtx.currentTime + delay;
         const osc = this.audioCtx.createOscillator();
         const gain = this.audioCtx.createGain();
 
         osc.type = type;
-        osc.frequency.setValueAtTime(freq, this.audioCtx.currentTime);
+        osc.frequency.setValueAtTime(freq, start);
 
-        gain.gain.setValueAtTime(0.1, this.audioCtx.currentTime);
-        gain.gain.exponentialRampToValueAtTime(0.01, this.audioCtx.currentTime + duration);
+        gain.gain.setValueAtTime(volume, start);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
 
         osc.connect(gain);
-        gain.connect(this.audioCtx.destination);
+        gain.connect(output);
+
+        osc.start(start);
+        osc.stop(start + duration);
+    }
 
-        osc.start();
-        osc.stop(this.audioCtx.currentTime + duration);
+    /**
+     * Play the effect for a GameEngine sound cue
+     */
+    play(cue) {
+        const effects = {
+            coin: () => this.playCoin(),
+            banana: () => this.playBanana(),
+            golden: () => this.playGolden(),
+            shield: () => this.playShield(),
+            shieldBreak: () => this.playShieldBreak(),
+            explosion: () => this.playExplosion(),
+            powerUp: () => this.playPowerUp(),
+            powerUpStored: () => this.playPowerUpStored(),
+            powerDown: () => this.playPowerDown(),
+            perfect: () => this.playPerfect(),
+            combo: () => this.playCombo(),
+            miss: () => this.playMiss(),
+            freeze: () => this.playFreeze(),
+            thaw: () => this.playThaw(),
+            levelUp: () => this.playLevelUp()
+        };
+        if (effects[cue]) effects[cue]();
+        else console.warn("No sound for cue:", cue);
     }
 
     playCoin() {
         // High pitched sine wave for coin
         this.playTone(800, "sine", 0.1);
-        setTimeout(() => this.playTone(1200, "sine", 0.2), 50);
+        this.playTone(1200, "sine", 0.2, 0.05);
+    }
+
+    playBanana() {
+        // Coin sound a step higher, with a third note (worth more)
+        this.playTone(900, "sine", 0.1);
+        this.playTone(1350, "sine", 0.1, 0.05);
+        this.playTone(1800, "sine", 0.2, 0.1);
+    }
+
+    playGolden() {
+        // Quick arpeggio up two octaves
+        [1047, 1319, 1568, 2093].forEach((freq, i) => this.playTone(freq, "sine", 0.15, i * 0.04, 0.08));
+        this.playTone(2637, "sine", 0.4, 0.16, 0.06);
+    }
+
+    playShield() {
+        this.playTone(440, "triangle", 0.15);
+        this.playTone(660, "triangle", 0.3, 0.08);
+    }
+
+    playShieldBreak() {
+        this.playTone(660, "square", 0.08, 0, 0.06);
+        this.playTone(330, "square", 0.25, 0.06, 0.06);
     }
 
     playExplosion() {
-        if (this.isMuted) return;
+        if (!this.isReady()) return;
         // Noise buffer for explosion
         const bufferSize = this.audioCtx.sampleRate * 0.5; // 0.5 sec
         const buffer = this.audioCtx.createBuffer(1, bufferSize, this.audioCtx.sampleRate);
@@ -57,14 +237,139 @@ class SoundManager {
         gain.gain.exponentialRampToValueAtTime(0.01, this.audioCtx.currentTime + 0.5);
 
         noise.connect(gain);
-        gain.connect(this.audioCtx.destination);
+        gain.connect(this.sfxGain);
         noise.start();
     }
 
+    playPowerUp() {
+        // Rising sweep
+        [400, 500, 600, 800].forEach((freq, i) => this.playTone(freq, "square", 0.1, i * 0.06, 0.05));
+    }
+
+    playPowerUpStored() {
+        this.playTone(600, "square", 0.08, 0, 0.05);
+        this.playTone(600, "square", 0.08, 0.1, 0.05);
+    }
+
+    playPowerDown() {
+        [800, 600, 450].forEach((freq, i) => this.playTone(freq, "square", 0.1, i * 0.07, 0.04));
+    }
+
+    playPerfect() {
+        this.playTone(1568, "sine", 0.25, 0.08, 0.08);
+    }
+
+    playCombo() {
+        [523, 659, 784].forEach((freq, i) => this.playTone(freq, "triangle", 0.12, i * 0.05));
+    }
+
+    playMiss() {
+        this.playTone(220, "sine", 0.2, 0, 0.06);
+    }
+
+    playFreeze() {
+        // Falling glassy glissando
+        [1760, 1480, 1245, 1047].forEach((freq, i) => this.playTone(freq, "triangle", 0.12, i * 0.05, 0.06));
+    }
+
+    playThaw() {
+        this.playTone(523, "triangle", 0.1, 0, 0.06);
+        this.playTone(784, "triangle", 0.15, 0.06, 0.06);
+    }
+
+    playLevelUp() {
+        [523, 659, 784, 1047].forEach((freq, i) => this.playTone(freq, "triangle", 0.18, i * 0.1));
+    }
+
+    playPause() {
+        this.playTone(600, "sine", 0.1);
+        this.playTone(400, "sine", 0.15, 0.08);
+    }
+
+    playCountdown(last) {
+        this.playTone(last ? 880 : 440, "sine", last ? 0.3 : 0.12);
+    }
+
     playGameOver() {
         this.playTone(400, "sawtooth", 0.3);
-        setTimeout(() => this.playTone(300, "sawtooth", 0.3), 300);
-        setTimeout(() => this.playTone(200, "sawtooth", 0.6), 600);
+        this.playTone(300, "sawtooth", 0.3, 0.3);
+        this.playTone(200, "sawtooth", 0.6, 0.6);
+    }
+
+    // Background Music
+
+    /**
+     * @param {number} level - current game level (1-based), sets the tempo
+     */
+    startMusic(level = 1) {
+        this.setMusicLevel(level);
+        this.musicStep = 0;
+        this.isMusicPlaying = true;
+        this.startScheduler();
+    }
+
+    stopMusic() {
+        this.isMusicPlaying = false;
+        this.stopScheduler();
+    }
+
+    /**
+     * Pause keeps the position in the bar
+     */
+    pauseMusic() {
+        this.stopScheduler();
+    }
+
+    resumeMusic() {
+        if (this.isMusicPlaying) this.startScheduler();
+    }
+
+    setMusicLevel(level) {
+        this.bpm = Math.min(MUSIC_MAX_BPM, MUSIC_BASE_BPM + (level - 1) * MUSIC_BPM_PER_LEVEL);
+    }
+
+    startScheduler() {
+        if (this.musicTimer || !this.audioCtx) return; // starts once unlock() runs
+        this.nextNoteTime = this.audioCtx.currentTime + 0.05;
+        this.musicTimer = setInterval(() => this.scheduleMusic(), SCHEDULER_INTERVAL_MS);
+    }
+
+    stopScheduler() {
+        if (this.musicTimer) clearInterval(this.musicTimer);
+        this.musicTimer = null;
+    }
+
+    /**
+     * Queue every note that starts within the next SCHEDULE_AHEAD_S.
+     * Notes are timed by the audio clock, so timer jitter doesn't matter.
+     */
+    scheduleMusic() {
+        const eighth = 30 / this.bpm; // seconds per 8th note
+        // A throttled background tab falls behind: skip the missed notes (keeping
+        // the melody on the beat) instead of playing them all at once
+        const now = this.audioCtx.currentTime;
+        if (this.nextNoteTime < now) {
+            const missed = Math.ceil((now - this.nextNoteTime) / eighth);
+            this.musicStep = (this.musicStep + missed) % MUSIC_MELODY.length;
+            this.nextNoteTime += missed * eighth;
+        }
+        while (this.nextNoteTime < this.audioCtx.currentTime + SCHEDULE_AHEAD_S) {
+            const delay = Math.max(0, this.nextNoteTime - this.audioCtx.currentTime);
+            const melody = MUSIC_MELODY[this.musicStep];
+            const bass = MUSIC_BASS[this.musicStep];
+            if (melody !== null) this.playTone(this.noteFrequency(melody), "square", eighth * 0.9, delay, 0.05, this.musicGain);
+            if (bass !== null) this.playTone(this.noteFrequency(bass - 12), "triangle", eighth * 1.8, delay, 0.12, this.musicGain);
+
+            this.musicStep = (this.musicStep + 1) % MUSIC_MELODY.length;
+            this.nextNoteTime += eighth;
+        }
+    }
+
+    /**
+     * Semitones above A3 (220 Hz) -> Hz
+     */
+    noteFrequency(semitones) {
+        return 220 * Math.pow(2, semitones / 12);
     }
 }
 
@@ -2,43 +2,66 @@
  * stabilizer.js
  * 예측값을 안정화(히스테리시스/필터링)해 튀는 오류를 줄임
  *
- * 포즈 인식 결과가 순간적으로 튀는 것을 방지하기 위한 필터링 로직
+ * 포즈 인식 결과가 순간적으로 튀는 것을 방지하기 위한 필터링 로직.
+ * 전략(strategy)을 골라 쓸 수 있습니다:
+ * - majority:   최근 N프레임 최빈값 (기본값, 기존 동작)
+ * - average:    최근 N프레임 클래스별 평균 확률
+ * - ema:        클래스별 지수 이동 평균 확률
+ * - hysteresis: 현재 클래스를 유지하는 기준보다 바꾸는 기준이 더 높음
+ * - dwell:      새 클래스가 일정 시간 이상 유지되어야 전환
+ *
+ * 모든 전략은 클래스별 임계값(classThresholds)을 지원하고,
+ * getState()로 내부 상태를 디버깅용으로 보여줍니다.
  */
 
-class PredictionStabilizer {
-  constructor(options = {}) {
-    this.threshold = options.threshold || 0.7; // 최소 확률 임계값
-    this.smoothingFrames = options.smoothingFrames || 3; // 평활화할 프레임 수
-    this.history = []; // 최근 예측 히스토리
+/**
+ * 예측 배열에서 최고 확률 클래스 찾기
+ */
+function topPrediction(predictions) {
+  let maxProb = 0;
+  let maxClass = "";
+  for (let i = 0; i < predictions.length; i++) {
+    if (predictions[i].probability > maxProb) {
+      maxProb = predictions[i].probability;
+      maxClass = predictions[i].className;
+    }
   }
+  return { className: maxClass, probability: maxProb };
+}
 
-  /**
-   * 예측 결과를 안정화
-   * @param {Array} predictions - TM 모델의 예측 결과 배열
-   * @returns {Object} { className: string, probability: number }
-   */
-  stabilize(predictions) {
-    // 최고 확률의 예측 찾기
-    let maxProb = 0;
-    let maxClass = "";
-
-    for (let i = 0; i < predictions.length; i++) {
-      if (predictions[i].probability > maxProb) {
-        maxProb = predictions[i].probability;
-        maxClass = predictions[i].className;
-      }
-    }
+/**
+ * { className: probability } 맵에서 최고 확률 클래스 찾기
+ */
+function topOfMap(probs) {
+  let best = { className: "", probability: 0 };
+  for (const [className, probability] of Object.entries(probs)) {
+    if (probability > best.probability) best = { className, probability };
+  }
+  return best;
+}
 
-    // 히스토리에 추가
-    this.history.push({ className: maxClass, probability: maxProb });
+const roundProbability = (v) => Math.round(v * 1000) / 1000;
+
+/**
+ * 최근 N프레임 최빈값 (기존 PredictionStabilizer 동작)
+ */
+class MajorityVoteStrategy {
+  constructor(stabilizer) {
+    this.stabilizer = stabilizer;
+    this.history = [];
+  }
 
-    // 히스토리 크기 제한
-    if (this.history.length > this.smoothingFrames) {
+  update(predictions) {
+    const { className: maxClass, probability: maxProb } = topPrediction(predictions);
+
+    // 히스토리에 추가 및 크기 제한
+    this.history.push({ className: maxClass, probability: maxProb });
+    if (this.history.length > this.stabilizer.smoothingFrames) {
       this.history.shift();
     }
 
     // 히스토리가 충분히 쌓이지 않았으면 현재 값 반환
-    if (this.history.length < this.smoothingFrames) {
+    if (this.history.length < this.stabilizer.smoothingFrames) {
       return { className: maxClass, probability: maxProb };
     }
 
@@ -50,7 +73,6 @@ class PredictionStabilizer {
 
     let mostFrequentClass = maxClass;
     let maxCount = 0;
-
     for (const [className, count] of Object.entries(classCounts)) {
       if (count > maxCount) {
         maxCount = count;
@@ -58,24 +80,264 @@ class PredictionStabilizer {
       }
     }
 
-    // 임계값 체크
-    if (maxProb < this.threshold) {
+    // 임계값 체크 (현재 프레임 확률 기준)
+    if (maxProb < this.stabilizer.thresholdFor(mostFrequentClass)) {
       return { className: "", probability: maxProb };
     }
+    return { className: mostFrequentClass, probability: maxProb };
+  }
+
+  reset() {
+    this.history = [];
+  }
 
+  getState() {
+    return { history: this.history.map(h => h.className) };
+  }
+}
+
+/**
+ * 최근 N프레임의 클래스별 평균 확률
+ */
+class AverageWindowStrategy {
+  constructor(stabilizer) {
+    this.stabilizer = stabilizer;
+    this.window = [];
+    this.average = {};
+  }
+
+  update(predictions) {
+    const frame = {};
+    predictions.forEach(p => { frame[p.className] = p.probability; });
+    this.window.push(frame);
+    if (this.window.length > this.stabilizer.smoothingFrames) this.window.shift();
+
+    this.average = {};
+    this.window.forEach(f => {
+      for (const [className, probability] of Object.entries(f)) {
+        this.average[className] = (this.average[className] || 0) + probability / this.window.length;
+      }
+    });
+
+    const best = topOfMap(this.average);
+    if (best.probability < this.stabilizer.thresholdFor(best.className)) {
+      return { className: "", probability: best.probability };
+    }
+    return best;
+  }
+
+  reset() {
+    this.window = [];
+    this.average = {};
+  }
+
+  getState() {
+    const average = {};
+    for (const [k, v] of Object.entries(this.average)) average[k] = roundProbability(v);
+    return { frames: this.window.length, average };
+  }
+}
+
+/**
+ * 클래스별 지수 이동 평균 (alpha가 클수록 최근 프레임 비중이 큼)
+ */
+class EmaStrategy {
+  constructor(stabilizer) {
+    this.stabilizer = stabilizer;
+    this.ema = {};
+  }
+
+  update(predictions) {
+    const alpha = this.stabilizer.alpha;
+    predictions.forEach(p => {
+      const prev = this.ema[p.className];
+      this.ema[p.className] = prev === undefined ? p.probability : prev + alpha * (p.probability - prev);
+    });
+
+    const best = topOfMap(this.ema);
+    if (best.probability < this.stabilizer.thresholdFor(best.className)) {
+      return { className: "", probability: best.probability };
+    }
+    return best;
+  }
+
+  reset() {
+    this.ema = {};
+  }
+
+  getState() {
+    const ema = {};
+    for (const [k, v] of Object.entries(this.ema)) ema[k] = roundProbability(v);
+    return { alpha: this.stabilizer.alpha, ema };
+  }
+}
+
+/**
+ * 히스테리시스: 현재 클래스는 (임계값 - stayMargin) 이상이면 유지,
+ * 다른 클래스로 바꾸려면 그 클래스가 임계값 이상이어야 함
+ */
+class HysteresisStrategy {
+  constructor(stabilizer) {
+    this.stabilizer = stabilizer;
+    this.current = "";
+    this.lastTop = { className: "", probability: 0 };
+  }
+
+  update(predictions) {
+    const probs = {};
+    predictions.forEach(p => { probs[p.className] = p.probability; });
+    const top = topPrediction(predictions);
+    this.lastTop = top;
+
+    // 현재 클래스 유지 조건 (더 낮은 기준)
+    const currentProb = probs[this.current] || 0;
+    const stayThreshold = this.stabilizer.thresholdFor(this.current) - this.stabilizer.stayMargin;
+    const canStay = this.current !== "" && currentProb >= stayThreshold;
+
+    // 전환 조건 (더 높은 기준)
+    const canSwitch = top.className !== this.current &&
+      top.probability >= this.stabilizer.thresholdFor(top.className);
+
+    if (canSwitch && (!canStay || top.probability > currentProb)) {
+      this.current = top.className;
+    } else if (!canStay) {
+      this.current = "";
+    }
+
+    return { className: this.current, probability: probs[this.current] || top.probability };
+  }
+
+  reset() {
+    this.current = "";
+  }
+
+  getState() {
+    return {
+      current: this.current,
+      stayThreshold: roundProbability(this.stabilizer.thresholdFor(this.current) - this.stabilizer.stayMargin),
+      top: `${this.lastTop.className} ${roundProbability(this.lastTop.probability)}`
+    };
+  }
+}
+
+/**
+ * 최소 유지 시간: 새 후보 클래스가 dwellMs 동안 계속 1등이어야 전환
+ */
+class DwellStrategy {
+  constructor(stabilizer) {
+    this.stabilizer = stabilizer;
+    this.current = "";
+    this.candidate = null; // null = 전환 후보 없음
+    this.candidateSince = 0;
+  }
+
+  update(predictions) {
+    const now = this.stabilizer.now();
+    const top = topPrediction(predictions);
+    // 확신 없는 프레임은 "" 후보가 되어, 이것도 dwellMs 동안 이어져야 현재 클래스를 놓음
+    const confident = top.probability >= this.stabilizer.thresholdFor(top.className) ? top.className : "";
+
+    if (confident === this.current) {
+      this.candidate = null;
+    } else if (confident !== this.candidate) {
+      this.candidate = confident;
+      this.candidateSince = now;
+    } else if (now - this.candidateSince >= this.stabilizer.dwellMs) {
+      this.current = this.candidate;
+      this.candidate = null;
+    }
+
+    return { className: this.current, probability: top.probability };
+  }
+
+  reset() {
+    this.current = "";
+    this.candidate = null;
+  }
+
+  getState() {
+    const hasCandidate = this.candidate !== null;
     return {
-      className: mostFrequentClass,
-      probability: maxProb
+      current: this.current,
+      candidate: hasCandidate ? (this.candidate || "(none)") : "-",
+      heldMs: hasCandidate ? Math.round(this.stabilizer.now() - this.candidateSince) : 0,
+      dwellMs: this.stabilizer.dwellMs
     };
   }
+}
+
+const STABILIZER_STRATEGIES = {
+  majority: MajorityVoteStrategy,
+  average: AverageWindowStrategy,
+  ema: EmaStrategy,
+  hysteresis: HysteresisStrategy,
+  dwell: DwellStrategy
+};
+
+class PredictionStabilizer {
+  constructor(options = {}) {
+    this.threshold = options.threshold || 0.7; // 최소 확률 임계값
+    this.classThresholds = options.classThresholds || {}; // 클래스별 임계값 { Left: 0.75, ... }
+    this.smoothingFrames = options.smoothingFrames || 3; // 평활화할 프레임 수 (majority, average)
+    this.alpha = options.alpha || 0.3; // EMA 계수 (ema)
+    this.stayMargin = options.stayMargin !== undefined ? options.stayMargin : 0.15; // 유지 기준 완화폭 (hysteresis)
+    this.dwellMs = options.dwellMs || 300; // 전환 전 최소 유지 시간 (dwell)
+    this.now = options.now || (() => performance.now());
+
+    this.setStrategy(options.strategy || "majority");
+  }
+
+  /**
+   * 예측 결과를 안정화
+   * @param {Array} predictions - TM 모델의 예측 결과 배열
+   * @returns {Object} { className: string, probability: number }
+   */
+  stabilize(predictions) {
+    return this.strategy.update(predictions);
+  }
+
+  /**
+   * 안정화 전략 변경 (히스토리는 초기화됨)
+   * @param {string} name - majority | average | ema | hysteresis | dwell
+   */
+  setStrategy(name) {
+    const Strategy = STABILIZER_STRATEGIES[name];
+    if (!Strategy) throw new Error(`Unknown stabilizer strategy: ${name}`);
+    this.strategyName = name;
+    this.strategy = new Strategy(this);
+  }
+
+  /**
+   * 클래스별 임계값 (없으면 공통 threshold)
+   */
+  thresholdFor(className) {
+    const value = this.classThresholds[className];
+    return value !== undefined ? value : this.threshold;
+  }
+
+  setClassThresholds(thresholds) {
+    this.classThresholds = { ...thresholds };
+  }
+
+  /**
+   * 디버깅용 내부 상태
+   */
+  getState() {
+    return { strategy: this.strategyName, ...this.strategy.getState() };
+  }
 
   /**
    * 히스토리 초기화
    */
   reset() {
-    this.history = [];
+    this.strategy.reset();
+  }
+
+  static getStrategyNames() {
+    return Object.keys(STABILIZER_STRATEGIES);
   }
 }
 
-// ES6 모듈로 내보내기
-window.PredictionStabilizer = PredictionStabilizer;
+// 브라우저 전역 + CommonJS 내보내기 (Node에서 헤드리스로 사용)
+globalThis.PredictionStabilizer = PredictionStabilizer;
+if (typeof module !== "undefined") module.exports = PredictionStabilizer;
@@ -0,0 +1,204 @@
+/**
+ * stagePack.js
+ * Data-driven stage definitions (item catalog + level table)
+ *
+ * A stage pack is plain JSON, so designers can add new stages under
+ * stages/ without touching engine code. Format:
+ *
+ * {
+ *   "name": "Classic",
+ *   "timeLimit": 60,                  // seconds
+ *   "effectDuration": 5000,           // ms, Magnet / Time power-ups
+ *   "items": {                        // item types used by the pack (see itemTypes.js)
+ *     "Apple":  { "points": 100 },    // points / speedBonus default to the type's own
+ *     "Banana": { "points": 200, "speedBonus": 12 }
+ *   },
+ *   "levels": [                       // ordered by startsAt
+ *     {
+ *       "startsAt": 0,                // seconds since game start
+ *       "fallSpeed": 18,              // percent of the play field per second
+ *       "spawnInterval": 1800,        // ms between spawns
+ *       "weights": { "Apple": 60, "Banana": 10 }  // relative spawn chances; items
+ *     }                                           // left out use the type's weight
+ *   ]
+ * }
+ */
+
+// In Node, load the item registry that the browser provides via a <script> tag
+if (typeof module !== "undefined" && typeof ItemTypes === "undefined") require("./itemTypes.js");
+
+// Built-in stage, matching the original hard-coded rules
+const CLASSIC_STAGE = {
+  name: "Classic",
+  timeLimit: 60,
+  effectDuration: 5000,
+  items: {
+    Bomb: { points: 0 },
+    Banana: { points: 200, speedBonus: 12 },
+    Shield: { points: 0 },
+    Magnet: { points: 0 },
+    Time: { points: 0 },
+    Apple: { points: 100 }
+  },
+  levels: [
+    {
+      startsAt: 0,
+      fallSpeed: 18,
+      spawnInterval: 1800,
+      weights: { Bomb: 15, Banana: 10, Shield: 5, Magnet: 5, Time: 5, Apple: 60 }
+    },
+    {
+      startsAt: 20,
+      fallSpeed: 24,
+      spawnInterval: 1600,
+      weights: { Bomb: 15, Banana: 10, Shield: 5, Magnet: 5, Time: 5, Apple: 60 }
+    },
+    {
+      startsAt: 40,
+      fallSpeed: 30,
+      spawnInterval: 1400,
+      weights: { Bomb: 15, Banana: 10, Shield: 5, Magnet: 5, Time: 5, Apple: 60 }
+    }
+  ]
+};
+
+class StagePack {
+  /**
+   * Check a stage pack and return a normalized copy.
+   * Throws an Error listing every problem found.
+   * @param {Object} data - parsed stage JSON
+   * @returns {Object} stage
+   */
+  static validate(data) {
+    const errors = [];
+    const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+
+    if (!data || typeof data !== "object") {
+      throw new Error("Stage pack must be a JSON object");
+    }
+    if (typeof data.name !== "string" || data.name === "") errors.push("name must be a non-empty string");
+    if (!isNumber(data.timeLimit) || data.timeLimit <= 0) errors.push("timeLimit must be a positive number");
+    if (data.effectDuration !== undefined && (!isNumber(data.effectDuration) || data.effectDuration <= 0)) {
+      errors.push("effectDuration must be a positive number");
+    }
+
+    const items = data.items && typeof data.items === "object" ? data.items : null;
+    if (!items || Object.keys(items).length === 0) {
+      errors.push("items must define at least one item type");
+    } else {
+      for (const [type, def] of Object.entries(items)) {
+        if (!ItemTypes.has(type)) errors.push(`items.${type} is not a known item type`);
+        if (!def || typeof def !== "object") errors.push(`items.${type} must be an object`);
+        else if (def.points !== undefined && (!isNumber(def.points) || def.points < 0)) errors.push(`items.${type}.points must be a number >= 0`);
+        if (def && def.speedBonus !== undefined && !isNumber(def.speedBonus)) errors.push(`items.${type}.speedBonus must be a number`);
+      }
+    }
+
+    if (!Array.isArray(data.levels) || data.levels.length === 0) {
+      errors.push("levels must be a non-empty array");
+    } else {
+      data.levels.forEach((level, i) => {
+        const path = `levels[${i}]`;
+        if (!level || typeof level !== "object") {
+          errors.push(`${path} must be an object`);
+          return;
+        }
+        const previous = data.levels[i - 1];
+        if (!isNumber(level.startsAt) || level.startsAt < 0) errors.push(`${path}.startsAt must be a number >= 0`);
+        if (i === 0 && level.startsAt !== 0) errors.push(`${path}.startsAt must be 0`);
+        if (previous && level.startsAt <= previous.startsAt) errors.push(`${path}.startsAt must be after the previous level`);
+        if (!isNumber(level.fallSpeed) || level.fallSpeed <= 0) errors.push(`${path}.fallSpeed must be a positive number`);
+        if (!isNumber(level.spawnInterval) || level.spawnInterval <= 0) errors.push(`${path}.spawnInterval must be a positive number`);
+
+        const weights = level.weights && typeof level.weights === "object" ? level.weights : {};
+        let total = 0;
+        for (const [type, weight] of Object.entries(weights)) {
+          if (items && !items[type]) errors.push(`${path}.weights.${type} is not defined in items`);
+          if (!isNumber(weight) || weight < 0) errors.push(`${path}.weights.${type} must be a number >= 0`);
+          else total += weight;
+        }
+        // Items the level leaves out spawn with their registry weight
+        Object.keys(items || {}).forEach(type => {
+          if (!(type in weights) && ItemTypes.has(type)) total += ItemTypes.get(type).weight;
+        });
+        if (total <= 0) errors.push(`${path}.weights must contain at least one positive weight`);
+      });
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid stage pack "${data.name || "?"}":\n- ${errors.join("\n- ")}`);
+    }
+
+    return {
+      name: data.name,
+      timeLimit: data.timeLimit,
+      effectDuration: data.effectDuration || 5000,
+      items: StagePack.itemDefaults(items),
+      levels: data.levels.map(level => ({
+        startsAt: level.startsAt,
+        fallSpeed: level.fallSpeed,
+        spawnInterval: level.spawnInterval,
+        weights: StagePack.levelWeights(level, items)
+      }))
+    };
+  }
+
+  /**
+   * Stage item entries with the registry's points / speedBonus filled in
+   */
+  static itemDefaults(items) {
+    const result = {};
+    for (const [type, def] of Object.entries(items)) {
+      const itemType = ItemTypes.get(type);
+      result[type] = {
+        ...JSON.parse(JSON.stringify(def)),
+        points: def.points !== undefined ? def.points : itemType.points,
+        speedBonus: def.speedBonus !== undefined ? def.speedBonus : itemType.speedBonus
+      };
+    }
+    return result;
+  }
+
+  /**
+   * A level's spawn weights: its own, then the registry weight of every
+   * stage item it leaves out (declaration order matters for pickWeighted)
+   */
+  static levelWeights(level, items) {
+    const weights = { ...(level.weights || {}) };
+    Object.keys(items).forEach(type => {
+      if (!(type in weights)) weights[type] = ItemTypes.get(type).weight;
+    });
+    return weights;
+  }
+
+  /**
+   * Pick an item type using the level's weights (declaration order)
+   * @param {Object} weights - { type: weight }
+   * @param {number} rand - value in [0, 1)
+   */
+  static pickWeighted(weights, rand) {
+    const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let threshold = rand * total;
+    for (const [type, weight] of entries) {
+      if (threshold < weight) return type;
+      threshold -= weight;
+    }
+    return entries[entries.length - 1][0];
+  }
+
+  /**
+   * Fetch and validate a stage pack from a URL (browser)
+   */
+  static async load(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Failed to load stage pack ${url}: ${response.status}`);
+    return StagePack.validate(await response.json());
+  }
+}
+
+StagePack.CLASSIC = CLASSIC_STAGE;
+
+// Browser global + CommonJS export (headless use from Node)
+globalThis.StagePack = StagePack;
+if (typeof module !== "undefined") module.exports = StagePack;
@@ -0,0 +1,192 @@
+/**
+ * workoutSession.js
+ * Timed workout programs for the Fitness mode
+ *
+ * A program is a list of intervals: "play" intervals have a target number
+ * of moves (lane changes counted by a FitnessTracker), "rest" intervals
+ * pause the game. Free play has no intervals and runs until the game ends.
+ *
+ * The session clock is fed by the host, which only advances it while the
+ * game is running or during a rest, so a manual pause or the player
+ * stepping out of the frame doesn't eat into an interval.
+ */
+
+// In Node, load dependencies that the browser provides via <script> tags
+if (typeof module !== "undefined" && typeof SeededRandom === "undefined") require("./random.js");
+
+const playInterval = (seconds, targetMoves) => ({ type: "play", seconds, targetMoves });
+const restInterval = (seconds) => ({ type: "rest", seconds });
+
+const WORKOUT_PROGRAMS = {
+  free: {
+    id: "free",
+    name: "Free play",
+    intervals: []
+  },
+  warmUp: {
+    id: "warmUp",
+    name: "Warm-up (3 rounds)",
+    intervals: [playInterval(60, 20), restInterval(20), playInterval(60, 30), restInterval(20), playInterval(60, 40)]
+  },
+  intervals: {
+    id: "intervals",
+    name: "Intervals 30/15 x6",
+    intervals: [
+      playInterval(30, 15), restInterval(15), playInterval(30, 15), restInterval(15),
+      playInterval(30, 18), restInterval(15), playInterval(30, 18), restInterval(15),
+      playInterval(30, 20), restInterval(15), playInterval(30, 20)
+    ]
+  }
+};
+
+class WorkoutSession {
+  /**
+   * Program definition by id (throws on unknown ids)
+   */
+  static getProgram(id = "free") {
+    const program = WORKOUT_PROGRAMS[id];
+    if (!program) throw new Error(`Unknown workout program: ${id}`);
+    return program;
+  }
+
+  static listPrograms() {
+    return Object.values(WORKOUT_PROGRAMS);
+  }
+
+  /**
+   * @param {Object} program - see WORKOUT_PROGRAMS
+   * @param {FitnessTracker} tracker - counts the moves
+   */
+  constructor(program, tracker) {
+    this.program = program;
+    this.tracker = tracker;
+    this.index = 0;
+    this.elapsed = 0; // ms into the current interval
+    this.startMoves = 0; // tracker.laneChanges when the interval started
+    this.results = [];
+  }
+
+  /**
+   * @returns {Object|null} the first interval (null for free play)
+   */
+  start() {
+    this.index = 0;
+    this.elapsed = 0;
+    this.startMoves = this.tracker.laneChanges;
+    this.results = [];
+    return this.current();
+  }
+
+  current() {
+    return this.program.intervals[this.index] || null;
+  }
+
+  isResting() {
+    const interval = this.current();
+    return !!interval && interval.type === "rest";
+  }
+
+  isComplete() {
+    return this.program.intervals.length > 0 && this.index >= this.program.intervals.length;
+  }
+
+  /**
+   * Moves made in the current interval
+   */
+  getMoves() {
+    return this.tracker.laneChanges - this.startMoves;
+  }
+
+  /**
+   * @returns {number} ms left in the current interval (0 for free play)
+   */
+  getRemaining() {
+    const interval = this.current();
+    return interval ? Math.max(0, interval.seconds * 1000 - this.elapsed) : 0;
+  }
+
+  /**
+   * Advance the session clock
+   * @param {number} dt - ms
+   * @returns {Object|null} { finished, next } when an interval ended
+   *   (next is null once the program is complete)
+   */
+  update(dt) {
+    const interval = this.current();
+    if (!interval) return null;
+    this.elapsed += dt;
+    if (this.elapsed < interval.seconds * 1000) return null;
+
+    const finished = this.intervalResult(interval, interval.seconds * 1000);
+    this.results.push(finished);
+    this.index++;
+    this.elapsed = 0;
+    this.startMoves = this.tracker.laneChanges;
+    return { finished, next: this.current() };
+  }
+
+  intervalResult(interval, ms) {
+    const result = { type: interval.type, seconds: Math.round(ms / 100) / 10 };
+    if (interval.type === "play") {
+      result.targetMoves = interval.targetMoves;
+      result.moves = this.getMoves();
+      result.met = result.moves >= interval.targetMoves;
+    }
+    return result;
+  }
+
+  /**
+   * Plain object for the results screen and the player's history.
+   * A play interval cut short by the end of the game is kept as partial.
+   */
+  getSummary() {
+    const intervals = this.results.slice();
+    const interval = this.current();
+    if (interval && interval.type === "play" && this.elapsed > 0) {
+      intervals.push({ ...this.intervalResult(interval, this.elapsed), partial: true });
+    }
+    const played = intervals.filter(result => result.type === "play");
+    return {
+      program: this.program.id,
+      programName: this.program.name,
+      completed: this.isComplete(),
+      targets: played.length,
+      targetsMet: played.filter(result => result.met).length,
+      intervals
+    };
+  }
+
+  /**
+   * Sessions are grouped by week: "YYYY-MM-DD" of the Monday starting
+   * the date's week (local time)
+   */
+  static weekKey(date) {
+    const day = new Date(date);
+    const monday = new Date(day.getFullYear(), day.getMonth(), day.getDate() - (day.getDay() + 6) % 7);
+    return SeededRandom.dateKey(monday);
+  }
+
+  /**
+   * Totals per week, newest week first
+   * @param {Object[]} sessions - saved sessions ({ date, playMs, activeMs, laneChanges, sweeps })
+   */
+  static weeklyTotals(sessions) {
+    const weeks = {};
+    sessions.forEach(session => {
+      const week = WorkoutSession.weekKey(session.date);
+      const total = weeks[week] || (weeks[week] = { week, sessions: 0, playMs: 0, activeMs: 0, laneChanges: 0, sweeps: 0 });
+      total.sessions++;
+      total.playMs += session.playMs;
+      total.activeMs += session.activeMs;
+      total.laneChanges += session.laneChanges;
+      total.sweeps += session.sweeps;
+    });
+    return Object.values(weeks).sort((a, b) => b.week.localeCompare(a.week));
+  }
+}
+
+WorkoutSession.PROGRAMS = WORKOUT_PROGRAMS;
+
+// Browser global + CommonJS export (headless use from Node)
+globalThis.WorkoutSession = WorkoutSession;
+if (typeof module !== "undefined") module.exports = WorkoutSession;
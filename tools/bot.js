@@ -0,0 +1,184 @@
+/**
+ * bot.js
+ * Headless bot runner: plays seeded games in Node and checks them
+ *
+ *   node tools/bot.js [--seed=N] [--runs=N] [--mode=id] [--stage=file] [--lanes=N] [--control=lanes|analog]
+ *
+ * A greedy bot steers the basket under the lowest fruit or power-up and
+ * away from bombs. For every mode (or --mode) and every stage pack in
+ * stages/index.json (plus the built-in Classic, or --stage) it
+ * - plays the run twice with the same seed: both replays must be identical
+ * - plays the recorded replay back: score, level, end reason, step count and
+ *   run statistics must match the live run
+ * - no bomb or hazard may cover every lane (it couldn't be dodged)
+ * Runs use 2 lanes (the fewest the engine allows) and 3, or --lanes.
+ * Untimed modes are quit after MAX_SECONDS, which also exercises replays of
+ * runs that ended by quitting. Exits with code 1 when a check fails.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const GameEngine = require("../js/gameEngine.js");
+
+// Untimed runs (Endless, Zen, Fitness) are quit after this much game time
+const MAX_SECONDS = 90;
+// The bot reacts every few steps, like a player with a ~100ms reaction time
+const DECIDE_EVERY_STEPS = 6;
+// Bombs this far down the field (percent) are too close to walk under
+const DANGER_Y = 45;
+const STEP_MS = 1000 / 60; // GameEngine's fixed step (replays record it as stepMs)
+const STAGES_DIR = path.join(__dirname, "..", "stages");
+
+function parseArgs(argv) {
+  const args = {};
+  argv.forEach(arg => {
+    const match = /^--(\w+)=(.*)$/.exec(arg);
+    if (!match) throw new Error(`Unknown argument: ${arg}`);
+    args[match[1]] = match[2];
+  });
+  return {
+    seed: args.seed !== undefined ? Number(args.seed) : 1,
+    runs: args.runs !== undefined ? Number(args.runs) : 1,
+    modes: args.mode ? [args.mode] : GameModes.list().map(mode => mode.id),
+    stages: args.stage !== undefined ? [args.stage] : [""].concat(listStageFiles()),
+    lanes: args.lanes !== undefined ? [Number(args.lanes)] : [2, 3],
+    control: args.control || "lanes"
+  };
+}
+
+function listStageFiles() {
+  return JSON.parse(fs.readFileSync(path.join(STAGES_DIR, "index.json"), "utf8")).map(entry => entry.file);
+}
+
+/**
+ * Stage pack by file name ("" is the built-in Classic stage)
+ */
+function loadStage(file) {
+  if (!file) return StagePack.CLASSIC;
+  return StagePack.validate(JSON.parse(fs.readFileSync(path.join(STAGES_DIR, file), "utf8")));
+}
+
+/**
+ * Lane the bot wants: under the lowest fruit or power-up that no close
+ * bomb is falling onto, otherwise out of the way of the close bombs
+ */
+function chooseLane(engine) {
+  const threats = engine.items.filter(item => (item.kind === "bomb" || item.kind === "hazard") && item.y > DANGER_Y);
+  const isSafe = (lane) => !threats.some(item => lane >= item.lane && lane < item.lane + item.lanes);
+
+  const target = engine.items
+    .filter(item => (item.kind === "fruit" || item.kind === "powerUp") && isSafe(item.lane))
+    .sort((a, b) => b.y - a.y)[0];
+  if (target) return target.lane;
+  if (isSafe(engine.basketLane)) return null;
+
+  // Nearest safe lane
+  for (let distance = 1; distance < engine.laneCount; distance++) {
+    for (const lane of [engine.basketLane - distance, engine.basketLane + distance]) {
+      if (lane >= 0 && lane < engine.laneCount && isSafe(lane)) return lane;
+    }
+  }
+  return null;
+}
+
+/**
+ * One live run with the bot
+ * @returns {Object} { replay, result, undodgeable } (undodgeable: bombs and hazards that covered every lane)
+ */
+function playRun(config) {
+  const engine = new GameEngine();
+  let undodgeable = 0;
+  engine.on("itemSpawned", ({ item }) => {
+    if ((item.kind === "bomb" || item.kind === "hazard") && item.lanes >= engine.laneCount) undodgeable++;
+  });
+  engine.start(config);
+  const maxSteps = Math.ceil(MAX_SECONDS * 1000 / STEP_MS);
+
+  while (engine.isGameActive) {
+    if (engine.stepCount % DECIDE_EVERY_STEPS === 0) {
+      const lane = chooseLane(engine);
+      if (lane !== null && config.control === "analog") engine.onBasketXDetected(engine.laneX(lane), "bot");
+      else if (lane !== null) engine.onPoseDetected(`lane:${lane}`, "bot");
+    }
+    engine.step();
+    if (engine.isGameActive && engine.stepCount >= maxSteps) engine.stop("Quit");
+  }
+  return { replay: engine.getReplay(), result: summarize(engine), undodgeable };
+}
+
+/**
+ * Play a replay back headless
+ */
+function playReplay(replay) {
+  const engine = new GameEngine();
+  engine.startReplay(replay);
+  while (engine.isGameActive) engine.step();
+  return summarize(engine);
+}
+
+function summarize(engine) {
+  return {
+    score: engine.score,
+    level: engine.level,
+    reason: engine.endReason,
+    steps: engine.stepCount,
+    stats: engine.getStats()
+  };
+}
+
+/**
+ * @returns {Object} { result, failures } (failures: failed checks, empty when the run is fine)
+ */
+function checkRun(config) {
+  const first = playRun(config);
+  const second = playRun(config);
+  const replayed = playReplay(JSON.parse(JSON.stringify(first.replay)));
+  const failures = [];
+
+  if (JSON.stringify(first.replay) !== JSON.stringify(second.replay)) {
+    failures.push("same seed, different run");
+  }
+  if (first.undodgeable > 0) {
+    failures.push(`${first.undodgeable} bombs or hazards covered all ${config.lanes} lanes`);
+  }
+  ["score", "level", "reason", "steps", "stats"].forEach(key => {
+    if (JSON.stringify(replayed[key]) !== JSON.stringify(first.result[key])) {
+      failures.push(`replay ${key}: ${JSON.stringify(replayed[key])} != ${JSON.stringify(first.result[key])}`.slice(0, 200));
+    }
+  });
+  return { result: first.result, failures };
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  let failed = 0;
+  let runs = 0;
+
+  options.lanes.forEach(lanes => {
+    options.stages.forEach(file => {
+      const stage = loadStage(file);
+      options.modes.forEach(mode => {
+        for (let i = 0; i < options.runs; i++) {
+          const seed = options.seed + i;
+          const config = { mode, stage, seed, lanes, control: options.control };
+          const { result, failures } = checkRun(config);
+          const { caught, missed } = result.stats;
+          const count = (counts) => Object.values(counts).reduce((sum, n) => sum + n, 0);
+          runs++;
+          console.log(
+            `${failures.length ? "FAIL" : "ok  "} ${stage.name} / ${mode} / ${lanes} lanes / seed ${seed}: ` +
+            `score ${result.score}, level ${result.level}, ${result.reason} after ${(result.steps * STEP_MS / 1000).toFixed(1)}s, ` +
+            `caught ${count(caught)}, missed ${count(missed)}`
+          );
+          failures.forEach(failure => console.log(`     ${failure}`));
+          if (failures.length) failed++;
+        }
+      });
+    });
+  });
+
+  console.log(`${runs - failed}/${runs} runs passed`);
+  if (failed) process.exitCode = 1;
+}
+
+main();